@@ -2,22 +2,84 @@
 
 import {
     getActions, updateAction, getSettings, addLog, saveSettings,
-    addActionInstance, removeActionInstance, updateActionInstance, getActionInstances
+    addActionInstance, removeActionInstance, updateActionInstance, getActionInstances,
+    getPickerState, savePickerState, clearPickerState,
+    getRecorderState, saveRecorderState, saveOverlayLayout, recordRunStats, runMigrations,
+    flushPendingWrites, isTabDetached, setTabDetached, forgetDetachedTab
 } from './storage.js';
+import { parseSchedule, getNextOccurrence, isValidSchedule } from './schedule.js';
+import { matchesUrlFilter, normalizeUrlFilter } from './urlfilter.js';
 
 // Track active timers by composite key: "actionId-tabId"
-const activeTimers = new Map(); // "actionId-tabId" -> { timerId, nextExecution, actionId, tabId }
+const activeTimers = new Map(); // "actionId-tabId" -> { timerId, alarmName, nextExecution, plannedAt, actionId, tabId }
 let isInitialized = false;
+let initialization = null;
+
+// Event triggers by the same key, for actions that fire on page events instead of a clock
+const activeTriggers = new Map(); // "actionId-tabId" -> { actionId, tabId, trigger, running }
+
+// Trigger types watched by content.js; URL changes and page loads come from chrome.tabs
+const PAGE_TRIGGERS = ['elementAppears', 'textMatches'];
+
+// Runs due sooner than this use an in-memory timer; later ones are backed by chrome.alarms
+// so they still fire after Chrome shuts the worker down
+const ALARM_THRESHOLD_MS = 30000;
+const ALARM_PREFIX = 'action:';
+
+// Periodic wake-up so short in-memory timers are rebuilt if the worker was killed
+const WATCHDOG_ALARM = 'watchdog';
+const WATCHDOG_PERIOD_MINUTES = 0.5;
+
+// A run overdue by less than this on wake is just late, not missed
+const MISSED_RUN_GRACE_MS = 60000;
+const MAX_CATCH_UP_RUNS = 10;
+const CATCH_UP_SPACING_MS = 1000;
+
+// Precondition timeouts set to "retry" run again this soon, a few times before the regular schedule takes over
+const WAIT_RETRY_DELAY_MS = 5000;
+const MAX_WAIT_RETRIES = 3;
+
+// Open overlays hold a port and get their tab's status pushed whenever a schedule changes
+const OVERLAY_PORT = 'overlay';
+const overlayPorts = new Set();
+let overlayPushPending = false;
 
 // Initialize extension
-chrome.runtime.onInstalled.addListener(async () => {
+chrome.runtime.onInstalled.addListener(async (details) => {
     console.log('GhostInput installed');
+    // Upgrade data written by an older version; a fresh install just records the current schema
+    if (details.reason === 'install' || details.reason === 'update') await runMigrations();
     await initializeTimers();
+    await attachMatchingTabs();
 });
 
-// Handle startup
+// Handle startup: tab IDs from the last session are gone, so URL-bound actions reattach by URL
 chrome.runtime.onStartup.addListener(async () => {
     await initializeTimers();
+    await attachMatchingTabs();
+});
+
+// Logs and stats are written in batches; try not to lose the last one when Chrome suspends the worker.
+// Best effort: Chrome doesn't wait for async work here, so the write may still be cut short.
+chrome.runtime.onSuspend.addListener(() => {
+    flushPendingWrites().catch(error => console.warn('Could not write pending logs and stats:', error));
+});
+
+// Attach URL-bound actions when a tab navigates to a matching page, and detach them when it leaves
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+    if (!changeInfo.url) return;
+    await initializeTimers();
+
+    const actions = await getActions();
+    for (const action of actions) {
+        const instance = action.instances?.[tabId];
+        const bound = isBoundToTab(action, tab);
+        if (bound && !instance) {
+            await attachActionToTab(action, tab);
+        } else if (!bound && instance?.autoAttached) {
+            await stopActionOnTab(action.id, tabId, { reattach: true });
+        }
+    }
 });
 
 // Handle tab closure - remove instances for closed tab
@@ -25,56 +87,97 @@ chrome.tabs.onRemoved.addListener(async (tabId) => {
     const actions = await getActions();
     for (const action of actions) {
         if (action.instances && action.instances[tabId]) {
-            await stopActionOnTab(action.id, tabId);
-            await addLog({
-                actionId: action.id,
-                actionName: action.name,
-                type: action.type,
-                key: action.key,
-                success: false,
-                error: `Tab ${tabId} was closed`
-            });
+            await stopActionOnTab(action.id, tabId, { reattach: true });
+            logActionEvent(action, tabId, 'info', `Tab ${tabId} was closed`);
         }
     }
+    await forgetDetachedTab(tabId);
 });
 
-// Keep service worker alive by touching storage periodically
-const KEEP_ALIVE_INTERVAL = 20000; // 20 seconds
-setInterval(async () => {
-    try {
-        await chrome.storage.local.get('keepAlive');
-    } catch (e) {
-        // Ignore errors
+// Alarms wake a terminated worker; the module reload has already started rebuilding timers
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    await initializeTimers();
+    if (!alarm.name.startsWith(ALARM_PREFIX)) return;
+
+    const [actionId, tabId] = alarm.name.slice(ALARM_PREFIX.length).split(':');
+    const timerInfo = activeTimers.get(`${actionId}-${tabId}`);
+
+    // A restore on wake may already have moved this run onto an in-memory timer
+    if (!timerInfo || timerInfo.alarmName !== alarm.name) return;
+    await executeAndRescheduleOnTab(actionId, parseInt(tabId));
+});
+
+// URL-change and page-load triggers; a freshly loaded page also gets its element and text triggers
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+    if (!changeInfo.url && changeInfo.status !== 'complete') return;
+    await initializeTimers();
+    if (changeInfo.status === 'complete') await sendPageTriggers(tabId);
+
+    for (const triggerInfo of [...activeTriggers.values()]) {
+        if (triggerInfo.tabId !== tabId) continue;
+        const { type } = triggerInfo.trigger;
+        if ((type === 'urlChange' && changeInfo.url) || (type === 'pageLoad' && changeInfo.status === 'complete')) {
+            await fireTrigger(triggerInfo.actionId, tabId);
+        }
     }
-}, KEEP_ALIVE_INTERVAL);
+});
+
+// An overlay connects when it is shown and gets its tab's status straight away
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== OVERLAY_PORT || !port.sender?.tab) return;
+    overlayPorts.add(port);
+    port.onDisconnect.addListener(() => overlayPorts.delete(port));
+    initializeTimers()
+        .then(notifyOverlays)
+        .catch(error => console.warn('Could not push overlay status:', error));
+});
 
-// Initialize timers for all enabled action instances
-async function initializeTimers() {
-    if (isInitialized) return;
+// Counts, pauses and new or removed instances all land in storage
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && (changes.actions || changes.actionInstances)) notifyOverlays();
+});
+
+// Initialize timers for all enabled action instances.
+// On a worker restart each instance resumes from its persisted nextExecution;
+// `reschedule` starts every countdown afresh instead (after edits or a global resume).
+// Concurrent callers wait for the rebuild already in progress; after a failed one the next caller retries.
+async function initializeTimers(options) {
+    if (isInitialized) return initialization;
     isInitialized = true;
+    const attempt = rebuildTimers(options).catch(error => {
+        if (initialization === attempt) {
+            isInitialized = false;
+            initialization = null;
+        }
+        throw error;
+    });
+    initialization = attempt;
+    return attempt;
+}
 
-    const actions = await getActions();
+async function rebuildTimers({ reschedule = false } = {}) {
+    // Normally done by onInstalled, but another event can wake the updated worker first
+    await runMigrations();
     const settings = await getSettings();
 
+    await clearAllTimers();
+    const actions = await pruneInstances();
+
     if (!settings.globalEnabled) {
         updateBadge(0);
         return;
     }
 
-    // Clear existing timers
-    for (const [key, timerInfo] of activeTimers) {
-        if (timerInfo.timerId) {
-            clearTimeout(timerInfo.timerId);
-        }
-    }
-    activeTimers.clear();
-
     let activeCount = 0;
     for (const action of actions) {
         if (action.instances) {
             for (const [tabId, instance] of Object.entries(action.instances)) {
-                if (instance.enabled) {
-                    await scheduleActionOnTab(action, parseInt(tabId));
+                if (instance.enabled && !instance.paused) {
+                    if (reschedule || !instance.nextExecution) {
+                        await scheduleActionOnTab(action, parseInt(tabId));
+                    } else {
+                        await restoreActionOnTab(action, parseInt(tabId), instance, settings.missedRunPolicy);
+                    }
                     activeCount++;
                 }
             }
@@ -82,50 +185,326 @@ async function initializeTimers() {
     }
 
     updateBadge(activeCount);
+    updateWatchdog(activeCount);
 }
 
-// Schedule an action on a specific tab
-async function scheduleActionOnTab(action, tabId) {
-    const intervalMs = calculateInterval(action);
-    const nextExecution = Date.now() + intervalMs;
-    const timerKey = `${action.id}-${tabId}`;
+// Drop instances whose tab no longer exists (closed while the worker was down, or a previous browser session)
+// and auto-attached instances whose tab no longer matches their action's URL binding
+async function pruneInstances() {
+    const openTabs = new Map((await chrome.tabs.query({})).map(tab => [tab.id, tab]));
+    const actions = await getActions();
+    for (const action of actions) {
+        for (const [tabId, instance] of Object.entries(action.instances || {})) {
+            const tab = openTabs.get(parseInt(tabId));
+            if (!tab || (instance.autoAttached && !isBoundToTab(action, tab))) {
+                await removeActionInstance(action.id, tabId);
+                delete action.instances[tabId];
+            }
+        }
+    }
+    return actions;
+}
 
-    const timerId = setTimeout(() => executeAndRescheduleOnTab(action.id, tabId), intervalMs);
+// URL-bound actions run on every open tab whose URL matches their Target URL (exclude-only filters never bind)
+function isBoundToTab(action, tab) {
+    return Boolean(action.autoAttach && normalizeUrlFilter(action.urlFilter)?.include.length &&
+        /^(https?|file):/.test(tab?.url || '') && matchesUrlFilter(tab.url, action.urlFilter));
+}
 
-    activeTimers.set(timerKey, {
-        timerId,
-        nextExecution,
-        intervalMs,
-        actionId: action.id,
-        tabId
-    });
+// Attach unless the action was stopped on this tab (by the user, a limit or an error)
+async function attachActionToTab(action, tab) {
+    if (await isTabDetached(action.id, tab.id)) return;
+
+    const result = await addActionInstance(action.id, tab.id, tab.title, { autoAttached: true });
+    if (result?.error) {
+        console.warn(`Not attaching "${action.name}" to tab ${tab.id}:`, result.error);
+        return;
+    }
+
+    const settings = await getSettings();
+    if (settings.globalEnabled) await scheduleActionOnTab(action, tab.id);
+    await refreshBadge();
+}
+
+async function attachMatchingTabs(actionId = null) {
+    const actions = (await getActions()).filter(action => action.autoAttach && action.urlFilter &&
+        (!actionId || action.id === actionId));
+    if (actions.length === 0) return;
+
+    const tabs = await chrome.tabs.query({});
+    for (const action of actions) {
+        for (const tab of tabs) {
+            if (!action.instances?.[tab.id] && isBoundToTab(action, tab)) {
+                await attachActionToTab(action, tab);
+            }
+        }
+    }
+}
+
+// Re-arm an instance from its persisted fire time, applying the missed-run policy if it is overdue
+async function restoreActionOnTab(action, tabId, instance, policy) {
+    const now = Date.now();
+    if (now - instance.nextExecution <= MISSED_RUN_GRACE_MS) {
+        armTimer(action.id, tabId, Math.max(instance.nextExecution, now), { plannedAt: instance.nextExecution });
+        return;
+    }
+
+    const missed = countMissedRuns(action, instance.nextExecution, now);
+    const runs = policy === 'skip' ? 0 : policy === 'catchup' ? missed : 1;
+    const message = `Missed ${missed}${missed >= MAX_CATCH_UP_RUNS ? '+' : ''} run${missed === 1 ? '' : 's'} while the browser was asleep` +
+        (runs ? `, running ${runs} now` : ', skipped');
+    logActionEvent(action, tabId, runs ? 'info' : 'skipped', message);
+
+    if (runs === 0) {
+        await scheduleActionOnTab(action, tabId);
+        return;
+    }
+
+    armTimer(action.id, tabId, now, { catchUpRuns: runs - 1 });
+    await updateActionInstance(action.id, tabId, { nextExecution: now });
+}
+
+// How many fire times fell between the first missed one and now (capped)
+function countMissedRuns(action, firstMissed, now) {
+    let count = 0;
+    let next = firstMissed;
+    try {
+        while (next !== null && next <= now && count < MAX_CATCH_UP_RUNS) {
+            count++;
+            next = getNextExecution(action, next);
+        }
+    } catch (e) {
+        // Invalid schedule: scheduleActionOnTab reports it on the next reschedule
+    }
+    return Math.max(count, 1);
+}
+
+// Schedule an action on a specific tab. After a run, plannedAt is when that run was due,
+// which fixed-rate intervals count from instead of now.
+async function scheduleActionOnTab(action, tabId, plannedAt = null) {
+    if (action.trigger) {
+        await armTrigger(action, tabId);
+        await updateActionInstance(action.id, tabId, { nextExecution: null });
+        return;
+    }
+
+    let nextExecution = null;
+    let scheduleError = null;
+    try {
+        nextExecution = action.intervalMode === 'fixedRate' && !action.schedule && plannedAt
+            ? getNextFixedRateExecution(action, plannedAt)
+            : getNextExecution(action);
+        if (nextExecution === null) scheduleError = 'Schedule has no upcoming occurrence';
+    } catch (error) {
+        scheduleError = `Invalid schedule: ${error.message}`;
+    }
+
+    if (scheduleError) {
+        logActionEvent(action, tabId, 'error', scheduleError);
+        await stopActionOnTab(action.id, tabId);
+        return;
+    }
+
+    armTimer(action.id, tabId, nextExecution);
 
     // Store next execution time in the instance
     await updateActionInstance(action.id, tabId, { nextExecution });
 }
 
+// Fixed rate: step from the previous planned time so run and storage latency don't add up
+// across cycles. Slots a slow run has already overrun are skipped rather than fired late.
+function getNextFixedRateExecution(action, plannedAt, now = Date.now()) {
+    let next = getNextExecution(action, plannedAt);
+    for (let skipped = 0; next <= now; skipped++) {
+        if (skipped >= MAX_CATCH_UP_RUNS) return getNextExecution(action, now);
+        next = getNextExecution(action, next);
+    }
+    return next;
+}
+
+// After a run, either continue a catch-up burst or move on to the regular schedule
+async function rescheduleAfterRun(action, tabId, timerInfo) {
+    // The tab may have been paused while the run was in flight
+    if (await isInstancePaused(action.id, tabId)) return;
+
+    if (timerInfo?.catchUpRuns > 0) {
+        const nextExecution = Date.now() + CATCH_UP_SPACING_MS;
+        armTimer(action.id, tabId, nextExecution, { catchUpRuns: timerInfo.catchUpRuns - 1 });
+        await updateActionInstance(action.id, tabId, { nextExecution });
+        return;
+    }
+    await scheduleActionOnTab(action, tabId, timerInfo?.plannedAt);
+}
+
+// Apply a timed-out precondition's outcome: stop the instance, retry the run shortly, or skip it
+async function handleWaitTimeout(action, tabId, timerInfo, result, details) {
+    const retries = timerInfo?.waitRetries || 0;
+    const retry = result.onTimeout === 'retry' && retries < MAX_WAIT_RETRIES;
+    const outcome = result.onTimeout === 'stop' ? 'stopped on this tab'
+        : retry ? `retrying in ${WAIT_RETRY_DELAY_MS / 1000}s`
+        : result.onTimeout === 'retry' ? `run skipped after ${MAX_WAIT_RETRIES} retries`
+        : 'run skipped';
+
+    logActionEvent(action, tabId, result.onTimeout === 'stop' ? 'error' : 'skipped', `${result.error}; ${outcome}`, details);
+
+    if (result.onTimeout === 'stop') {
+        await stopActionOnTab(action.id, tabId);
+    } else if (retry) {
+        if (await isInstancePaused(action.id, tabId)) return;
+        const nextExecution = Date.now() + WAIT_RETRY_DELAY_MS;
+        armTimer(action.id, tabId, nextExecution, {
+            catchUpRuns: timerInfo?.catchUpRuns || 0,
+            waitRetries: retries + 1,
+            plannedAt: timerInfo?.plannedAt
+        });
+        await updateActionInstance(action.id, tabId, { nextExecution });
+    } else {
+        await rescheduleAfterRun(action, tabId, timerInfo);
+    }
+}
+
+// plannedAt is the slot a retry or late run stands in for; fixed-rate scheduling continues from it
+function armTimer(actionId, tabId, nextExecution, { catchUpRuns = 0, waitRetries = 0, plannedAt = nextExecution } = {}) {
+    const timerKey = `${actionId}-${tabId}`;
+    clearTimer(timerKey);
+
+    const delay = nextExecution - Date.now();
+    if (delay >= ALARM_THRESHOLD_MS) {
+        const alarmName = `${ALARM_PREFIX}${actionId}:${tabId}`;
+        chrome.alarms.create(alarmName, { when: nextExecution });
+        activeTimers.set(timerKey, { timerId: null, alarmName, nextExecution, plannedAt, catchUpRuns, waitRetries, actionId, tabId });
+        notifyOverlays();
+        return;
+    }
+
+    const timerId = setTimeout(() => executeAndRescheduleOnTab(actionId, tabId), Math.max(0, delay));
+    activeTimers.set(timerKey, { timerId, alarmName: null, nextExecution, plannedAt, catchUpRuns, waitRetries, actionId, tabId });
+    notifyOverlays();
+}
+
+async function armTrigger(action, tabId) {
+    const timerKey = `${action.id}-${tabId}`;
+    clearTimer(timerKey);
+
+    // Re-arming after each run keeps the page's existing watch (and its baseline) in place
+    const existing = activeTriggers.get(timerKey);
+    if (existing && JSON.stringify(existing.trigger) === JSON.stringify(action.trigger)) return;
+
+    activeTriggers.set(timerKey, { actionId: action.id, tabId, trigger: action.trigger, running: false });
+    notifyOverlays();
+    if (PAGE_TRIGGERS.includes(action.trigger.type)) {
+        try {
+            await chrome.tabs.sendMessage(tabId, { type: 'REGISTER_TRIGGER', triggerId: action.id, trigger: action.trigger });
+        } catch (e) {
+            // No content script yet; the tab gets its triggers when the page finishes loading
+        }
+    }
+}
+
+async function clearTrigger(timerKey) {
+    const triggerInfo = activeTriggers.get(timerKey);
+    if (!triggerInfo) return;
+    activeTriggers.delete(timerKey);
+    notifyOverlays();
+    if (PAGE_TRIGGERS.includes(triggerInfo.trigger.type)) {
+        try {
+            await chrome.tabs.sendMessage(triggerInfo.tabId, { type: 'UNREGISTER_TRIGGER', triggerId: triggerInfo.actionId });
+        } catch (e) { }
+    }
+}
+
+// Page triggers the content script in this tab should watch
+function getPageTriggers(tabId) {
+    return [...activeTriggers.values()]
+        .filter(triggerInfo => triggerInfo.tabId === tabId && PAGE_TRIGGERS.includes(triggerInfo.trigger.type))
+        .map(triggerInfo => ({ triggerId: triggerInfo.actionId, trigger: triggerInfo.trigger }));
+}
+
+// A new page starts with no triggers; only tabs that have some are messaged
+async function sendPageTriggers(tabId) {
+    for (const { triggerId, trigger } of getPageTriggers(tabId)) {
+        try {
+            await chrome.tabs.sendMessage(tabId, { type: 'REGISTER_TRIGGER', triggerId, trigger });
+        } catch (e) {
+            // Pages without a content script (chrome:// and the like) can't be watched
+        }
+    }
+}
+
+async function fireTrigger(actionId, tabId) {
+    await initializeTimers();
+    const triggerInfo = activeTriggers.get(`${actionId}-${tabId}`);
+    // Events that arrive while the previous run is still going are dropped
+    if (!triggerInfo || triggerInfo.running) return;
+    await executeAndRescheduleOnTab(actionId, tabId);
+}
+
+function clearTimer(timerKey) {
+    const timerInfo = activeTimers.get(timerKey);
+    if (!timerInfo) return;
+    if (timerInfo.timerId) clearTimeout(timerInfo.timerId);
+    if (timerInfo.alarmName) chrome.alarms.clear(timerInfo.alarmName);
+    activeTimers.delete(timerKey);
+    notifyOverlays();
+}
+
+// Drop every in-memory timer, trigger and action alarm, including alarms left over from a previous worker
+async function clearAllTimers() {
+    for (const timerKey of [...activeTimers.keys()]) {
+        clearTimer(timerKey);
+    }
+    for (const timerKey of [...activeTriggers.keys()]) {
+        await clearTrigger(timerKey);
+    }
+    const alarms = await chrome.alarms.getAll();
+    await Promise.all(alarms
+        .filter(alarm => alarm.name.startsWith(ALARM_PREFIX))
+        .map(alarm => chrome.alarms.clear(alarm.name)));
+}
+
+function updateWatchdog(activeCount) {
+    if (activeCount > 0) {
+        chrome.alarms.create(WATCHDOG_ALARM, { periodInMinutes: WATCHDOG_PERIOD_MINUTES });
+    } else {
+        chrome.alarms.clear(WATCHDOG_ALARM);
+    }
+}
+
+// Next fire time: the schedule's next occurrence, or one interval from now.
+// Returns null for a schedule that never fires; throws for an unparseable one.
+function getNextExecution(action, from = Date.now()) {
+    if (action.schedule) {
+        return getNextOccurrence(parseSchedule(action.schedule), from);
+    }
+    return from + calculateInterval(action);
+}
+
 // Execute action on a specific tab and reschedule
 async function executeAndRescheduleOnTab(actionId, tabId) {
+    const firedAt = Date.now();
     const timerKey = `${actionId}-${tabId}`;
     const actions = await getActions();
     const action = actions.find(a => a.id === actionId);
 
     if (!action || !action.instances || !action.instances[tabId]) {
-        activeTimers.delete(timerKey);
+        clearTimer(timerKey);
+        await clearTrigger(timerKey);
         await refreshBadge();
         return;
     }
 
     const instance = action.instances[tabId];
-    if (!instance.enabled) {
-        activeTimers.delete(timerKey);
+    if (!instance.enabled || instance.paused) {
+        clearTimer(timerKey);
+        await clearTrigger(timerKey);
         await refreshBadge();
         return;
     }
 
     const settings = await getSettings();
     if (!settings.globalEnabled) {
-        activeTimers.delete(timerKey);
+        clearTimer(timerKey);
+        await clearTrigger(timerKey);
         return;
     }
 
@@ -135,25 +514,54 @@ async function executeAndRescheduleOnTab(actionId, tabId) {
         tab = await chrome.tabs.get(tabId);
     } catch (e) {
         // Tab no longer exists - remove instance
-        await stopActionOnTab(actionId, tabId);
+        await stopActionOnTab(actionId, tabId, { reattach: true });
         return;
     }
 
+    const timerInfo = activeTimers.get(timerKey) || activeTriggers.get(timerKey);
+    // How late this run fired; only scheduled runs have a planned time to compare against
+    const driftMs = Number.isFinite(timerInfo?.nextExecution) ? firedAt - timerInfo.nextExecution : null;
+
     // Check URL filter
     if (tab && action.urlFilter && !matchesUrlFilter(tab.url, action.urlFilter)) {
         // Reschedule but don't execute
-        await scheduleActionOnTab(action, tabId);
+        logActionEvent(action, tabId, 'skipped', 'Page URL does not match the Target URL', { url: tab.url });
+        recordRun(action, tabId, 'skipped', { url: tab.url });
+        await rescheduleAfterRun(action, tabId, timerInfo);
+        return;
+    }
+
+    // Execute the action (macros can take a while, so flag the timer for the overlay)
+    setRunning(timerInfo, true);
+    const startedAt = Date.now();
+    const result = await executeAction(action, tab);
+    const details = { url: tab.url, durationMs: Date.now() - startedAt, driftMs };
+    setRunning(timerInfo, false);
+    if (result.waitTimeout) {
+        recordRun(action, tabId, result.onTimeout === 'stop' ? 'error' : 'skipped', details);
+        await handleWaitTimeout(action, tabId, timerInfo, result, details);
+        return;
+    }
+    if (!result.success) {
+        console.warn(`Action "${action.name}" failed on tab ${tabId}:`, result.error);
+        logActionEvent(action, tabId, 'error', result.error, details);
+        recordRun(action, tabId, 'error', details);
+        await rescheduleAfterRun(action, tabId, timerInfo);
         return;
     }
 
-    // Execute the action
-    await executeAction(action, tab);
+    for (const message of result.skipped || []) {
+        logActionEvent(action, tabId, 'skipped', message, { url: tab.url });
+    }
+    logActionEvent(action, tabId, 'success', null, details);
+    recordRun(action, tabId, 'success', details);
 
     // Update execution count for this instance
     const newCount = (instance.executionCount || 0) + 1;
     await updateActionInstance(actionId, tabId, {
         executionCount: newCount,
-        lastExecuted: Date.now()
+        lastExecuted: Date.now(),
+        ...(result.frame && { frame: result.frame })
     });
 
     // Check Limits
@@ -187,7 +595,35 @@ async function executeAndRescheduleOnTab(actionId, tabId) {
     }
 
     // Reschedule
-    await scheduleActionOnTab(action, tabId);
+    await rescheduleAfterRun(action, tabId, timerInfo);
+}
+
+function setRunning(timerInfo, running) {
+    if (!timerInfo) return;
+    timerInfo.running = running;
+    notifyOverlays();
+}
+
+// Add an activity-log entry for an action on a tab; outcome is 'success', 'skipped', 'error' or 'info'.
+// Not awaited: entries are written in batches and a run shouldn't wait for the write.
+function logActionEvent(action, tabId, outcome, message = null, details = {}) {
+    addLog({
+        actionId: action.id,
+        actionName: action.name,
+        type: action.type,
+        key: action.key,
+        outcome,
+        success: outcome === 'success',
+        error: message,
+        tabId,
+        ...details
+    }).catch(error => console.warn('Could not write the activity log:', error));
+}
+
+// Count a run towards the action's stats for this tab; batched and not awaited, like the log
+function recordRun(action, tabId, outcome, details = {}) {
+    recordRunStats({ actionId: action.id, tabId, outcome, ...details })
+        .catch(error => console.warn('Could not update execution stats:', error));
 }
 
 // Calculate interval with optional randomization
@@ -227,90 +663,430 @@ function calculateInterval(action) {
 
 // Execute the action on the specified tab
 async function executeAction(action, tab) {
-    if (!tab || !tab.id) return;
+    if (!tab || !tab.id) return { success: false, error: 'Invalid tab' };
 
     // Skip browser internal pages
     const url = tab.url || '';
     if (url.startsWith('chrome://') || url.startsWith('edge://') || url.startsWith('chrome-extension://') || url.startsWith('about:')) {
-        return;
+        return { success: false, error: 'Browser pages cannot be automated' };
     }
 
     try {
-        await chrome.scripting.executeScript({
-            target: { tabId: tab.id },
+        const frames = await resolveFrames(action, tab.id);
+        if (frames.error) return { success: false, error: frames.error };
+
+        const injections = await chrome.scripting.executeScript({
+            target: { tabId: tab.id, ...frames.target },
             func: simulateAction,
             args: [action]
         });
+
+        // In "all frames" mode a run counts as done if any frame managed it
+        const ran = injections.filter(injection => injection.result);
+        const succeeded = ran.filter(injection => injection.result.success);
+        const chosen = succeeded[0] || ran[0];
+        if (!chosen) return { success: false, error: 'No result from page' };
+        if (!frames.target.frameIds && !frames.target.allFrames) return chosen.result;
+
+        return {
+            ...chosen.result,
+            frame: {
+                frameId: chosen.frameId,
+                url: frames.url || null,
+                count: Math.max(succeeded.length, 1)
+            }
+        };
     } catch (error) {
         console.error('Failed to execute action:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Pick where an action runs: the top frame, every frame, the first frame whose URL matches, or the first frame holding its target
+async function resolveFrames(action, tabId) {
+    const mode = action.frame?.mode || 'top';
+    if (mode === 'top') return { target: {} };
+    if (mode === 'all') return { target: { allFrames: true } };
+
+    const target = mode === 'selector' ? getFrameLocator(action) : null;
+    if (mode === 'selector' && !target) {
+        return { error: 'Frame targeting by element needs a target locator' };
+    }
+
+    const probes = await chrome.scripting.executeScript({
+        target: { tabId, allFrames: true },
+        func: probeFrame,
+        args: [target]
+    });
+    const match = probes
+        .filter(probe => probe.result)
+        .sort((a, b) => a.frameId - b.frameId)
+        .find(probe => mode === 'url'
+            ? matchesUrlFilter(probe.result.url, { mode: 'match', include: [action.frame.url], exclude: [] })
+            : probe.result.hasTarget);
+
+    if (!match) {
+        return {
+            error: mode === 'url'
+                ? `No frame matches ${action.frame.url}`
+                : `No frame contains ${target.strategy} "${target.value}"`
+        };
     }
+    return { target: { frameIds: [match.frameId] }, url: match.result.url };
 }
 
-// Function injected into page to simulate action
-function simulateAction(action) {
-    const activeElement = document.activeElement || document.body;
+// The locator a frame must contain: the action's target, else the first step target or the precondition
+function getFrameLocator(action) {
+    if (action.target?.value) return action.target;
+    const step = (action.steps || []).find(s => s.target?.value);
+    if (step) return step.target;
+    return action.waitFor?.value ? { strategy: action.waitFor.strategy, value: action.waitFor.value } : null;
+}
+
+// Injected into every frame to report its URL and whether it holds the locator
+function probeFrame(target) {
+    let hasTarget = false;
+    try {
+        if (target?.strategy === 'xpath') {
+            hasTarget = Boolean(document.evaluate(target.value, document, null,
+                XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue);
+        } else if (target?.strategy === 'text') {
+            hasTarget = (document.body?.innerText || '').toLowerCase().includes(target.value.trim().toLowerCase());
+        } else if (target) {
+            hasTarget = Boolean(document.querySelector(target.value));
+        }
+    } catch (e) {
+        hasTarget = false;
+    }
+    return { url: location.href, hasTarget };
+}
+
+// Function injected into page to simulate action.
+// Runs in the page context, so everything it needs must be defined inside it.
+async function simulateAction(action) {
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    const WAIT_POLL_MS = 100;
+
+    // Resolve a target locator, falling back to the focused element
+    function resolveTarget(target) {
+        if (!target || !target.value) {
+            return document.activeElement || document.body;
+        }
+
+        if (target.strategy === 'xpath') {
+            const node = document.evaluate(target.value, document, null,
+                XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+            return node && node.nodeType !== Node.ELEMENT_NODE ? node.parentElement : node;
+        }
+
+        if (target.strategy === 'text') {
+            const needle = target.value.trim().toLowerCase();
+            // Only rendered text, as probeFrame's innerText check sees it
+            const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+                acceptNode: node => node.parentElement?.closest('script, style, noscript')
+                    ? NodeFilter.FILTER_REJECT
+                    : NodeFilter.FILTER_ACCEPT
+            });
+            while (walker.nextNode()) {
+                const text = walker.currentNode.data.replace(/\s+/g, ' ').toLowerCase();
+                if (text.includes(needle) && walker.currentNode.parentElement) {
+                    return walker.currentNode.parentElement;
+                }
+            }
+            // Buttons rendered from <input> carry their label in the value attribute
+            return Array.from(document.querySelectorAll('input[type="button"], input[type="submit"]'))
+                .find(input => input.value.toLowerCase().includes(needle)) || null;
+        }
 
-    if (action.type === 'key') {
-        const keyInfo = action.keyInfo || { code: `Key${action.key}`, keyCode: action.key.charCodeAt(0), key: action.key.toLowerCase() };
+        return document.querySelector(target.value);
+    }
+
+    // Insert text at the caret of a text field or rich editor, the way the browser would
+    function insertText(element, text, inputType = 'insertText') {
+        const inputOptions = { inputType, data: text, bubbles: true, composed: true };
+        const beforeInput = () => element.dispatchEvent(new InputEvent('beforeinput', { ...inputOptions, cancelable: true }));
+
+        if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+            if (!beforeInput()) return;
+            const start = element.selectionStart ?? element.value.length;
+            const end = element.selectionEnd ?? element.value.length;
+            const value = element.value.slice(0, start) + text + element.value.slice(end);
+            // Frameworks such as React track the prototype's value setter, not the instance's
+            const prototype = element.tagName === 'INPUT' ? HTMLInputElement.prototype : HTMLTextAreaElement.prototype;
+            Object.getOwnPropertyDescriptor(prototype, 'value').set.call(element, value);
+            try {
+                element.setSelectionRange(start + text.length, start + text.length);
+            } catch (e) {
+                // email/number inputs have no selection API
+            }
+            element.dispatchEvent(new InputEvent('input', inputOptions));
+            return;
+        }
+
+        if (!element.isContentEditable) return;
+        placeCaret(element);
+
+        // execCommand fires the native beforeinput/input pair and keeps the editor's undo stack
+        if (document.execCommand(inputType === 'insertLineBreak' ? 'insertLineBreak' : 'insertText', false, text)) return;
+
+        if (!beforeInput()) return;
+        const selection = window.getSelection();
+        const range = selection.getRangeAt(0);
+        const node = inputType === 'insertLineBreak' ? document.createElement('br') : document.createTextNode(text);
+        range.deleteContents();
+        range.insertNode(node);
+        range.setStartAfter(node);
+        range.collapse(true);
+        selection.removeAllRanges();
+        selection.addRange(range);
+        element.dispatchEvent(new InputEvent('input', inputOptions));
+    }
+
+    // Keep an existing caret inside the editor, otherwise continue at the end of its content
+    function placeCaret(element) {
+        const selection = window.getSelection();
+        if (selection.rangeCount && element.contains(selection.getRangeAt(0).commonAncestorContainer)) return;
+        moveCaretToEnd(element);
+    }
+
+    function moveCaretToEnd(element) {
+        const selection = window.getSelection();
+        const range = document.createRange();
+        range.selectNodeContents(element);
+        range.collapse(false);
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    // Key details a US layout would report for a typed character
+    function describeCharacter(char) {
+        if (char === '\n') return { key: 'Enter', code: 'Enter', keyCode: 13, shift: false };
+        if (char === ' ') return { key: ' ', code: 'Space', keyCode: 32, shift: false };
+        if (/^[a-z]$/i.test(char)) {
+            return { key: char, code: `Key${char.toUpperCase()}`, keyCode: char.toUpperCase().charCodeAt(0), shift: char !== char.toLowerCase() };
+        }
+        if (/^[0-9]$/.test(char)) return { key: char, code: `Digit${char}`, keyCode: char.charCodeAt(0), shift: false };
+        return { key: char, code: '', keyCode: 0, shift: false };
+    }
+
+    function typeCharacter(element, char) {
+        const info = describeCharacter(char);
+        const eventOptions = {
+            key: info.key,
+            code: info.code,
+            keyCode: info.keyCode,
+            which: info.keyCode,
+            shiftKey: info.shift,
+            bubbles: true,
+            cancelable: true,
+            composed: true
+        };
+
+        // A cancelled keydown swallows the character, as it does for real typing
+        if (element.dispatchEvent(new KeyboardEvent('keydown', eventOptions))) {
+            element.dispatchEvent(new KeyboardEvent('keypress', { ...eventOptions, charCode: char.codePointAt(0) }));
+            if (char !== '\n') {
+                insertText(element, char);
+            } else if (element.tagName !== 'INPUT') {
+                insertText(element, char, 'insertLineBreak');
+            }
+        }
+        element.dispatchEvent(new KeyboardEvent('keyup', eventOptions));
+    }
+
+    // Type a whole string one code point at a time, so emoji and astral characters stay intact
+    async function typeText(element, text, charDelay) {
+        if (!text) return { success: false, error: 'No text to type' };
+        const chars = Array.from(text.replace(/\r\n?/g, '\n'));
+        for (let i = 0; i < chars.length; i++) {
+            if (i > 0 && charDelay > 0) await sleep(charDelay);
+            typeCharacter(element, chars[i]);
+        }
+        return { success: true };
+    }
+
+    function pressKey(element, input) {
+        const keyInfo = input.keyInfo || { code: `Key${input.key}`, keyCode: input.key.charCodeAt(0), key: input.key.toLowerCase() };
 
         const eventOptions = {
             key: keyInfo.key,
             code: keyInfo.code,
             keyCode: keyInfo.keyCode,
             which: keyInfo.keyCode,
-            ctrlKey: action.modifiers?.includes('Ctrl') || false,
-            altKey: action.modifiers?.includes('Alt') || false,
-            shiftKey: action.modifiers?.includes('Shift') || false,
-            metaKey: action.modifiers?.includes('Meta') || false,
+            ctrlKey: input.modifiers?.includes('Ctrl') || false,
+            altKey: input.modifiers?.includes('Alt') || false,
+            shiftKey: input.modifiers?.includes('Shift') || false,
+            metaKey: input.modifiers?.includes('Meta') || false,
             bubbles: true,
             cancelable: true
         };
 
-        activeElement.dispatchEvent(new KeyboardEvent('keydown', eventOptions));
-        activeElement.dispatchEvent(new KeyboardEvent('keypress', eventOptions));
-        activeElement.dispatchEvent(new KeyboardEvent('keyup', eventOptions));
+        element.dispatchEvent(new KeyboardEvent('keydown', eventOptions));
+        element.dispatchEvent(new KeyboardEvent('keypress', eventOptions));
+        element.dispatchEvent(new KeyboardEvent('keyup', eventOptions));
 
         // For text inputs, also insert the character
-        if ((activeElement.tagName === 'INPUT' || activeElement.tagName === 'TEXTAREA') &&
-            keyInfo.key.length === 1 && !eventOptions.ctrlKey && !eventOptions.altKey && !eventOptions.metaKey) {
-            const start = activeElement.selectionStart;
-            const end = activeElement.selectionEnd;
-            const value = activeElement.value;
-            activeElement.value = value.slice(0, start) + keyInfo.key + value.slice(end);
-            activeElement.selectionStart = activeElement.selectionEnd = start + 1;
-            activeElement.dispatchEvent(new Event('input', { bubbles: true }));
-        }
-    } else if (action.type === 'mouse') {
-        const mouseAction = action.mouseAction;
+        if (keyInfo.key.length === 1 && !eventOptions.ctrlKey && !eventOptions.altKey && !eventOptions.metaKey) {
+            insertText(element, keyInfo.key);
+        }
+        return { success: true };
+    }
+
+    function click(element, input) {
+        const mouseAction = input.mouseAction;
         const eventType = mouseAction === 'doubleClick' ? 'dblclick' :
             mouseAction === 'rightClick' ? 'contextmenu' : 'click';
         const button = mouseAction === 'rightClick' ? 2 : mouseAction === 'middleClick' ? 1 : 0;
 
-        const mouseEvent = new MouseEvent(eventType, {
+        // Work out where the click lands: fixed viewport point, offset inside the target, or its center
+        const position = input.clickPosition;
+        const rect = element.getBoundingClientRect();
+        let clientX = rect.left + rect.width / 2;
+        let clientY = rect.top + rect.height / 2;
+        if (position?.mode === 'viewport') {
+            clientX = position.x;
+            clientY = position.y;
+        } else if (position?.mode === 'offset') {
+            clientX = rect.left + position.x;
+            clientY = rect.top + position.y;
+        }
+
+        // Positioned clicks go to whatever is actually painted at that point
+        let clickTarget = element;
+        if (position) {
+            clickTarget = document.elementFromPoint(clientX, clientY);
+            if (!clickTarget) {
+                return { success: false, error: `Nothing to click at (${Math.round(clientX)}, ${Math.round(clientY)})` };
+            }
+        }
+
+        const mouseOptions = {
             bubbles: true,
             cancelable: true,
+            view: window,
             button: button,
-            buttons: 1 << button
-        });
+            buttons: 1 << button,
+            clientX,
+            clientY,
+            screenX: window.screenX + clientX,
+            screenY: window.screenY + clientY
+        };
+
+        // Canvas-style widgets react to the press itself, so positioned clicks get the full sequence
+        if (position) {
+            clickTarget.dispatchEvent(new MouseEvent('mousedown', mouseOptions));
+            clickTarget.dispatchEvent(new MouseEvent('mouseup', { ...mouseOptions, buttons: 0 }));
+        }
 
-        activeElement.dispatchEvent(mouseEvent);
+        clickTarget.dispatchEvent(new MouseEvent(eventType, mouseOptions));
+        return { success: true };
     }
-}
 
-// Check if URL matches filter
-function matchesUrlFilter(url, filter) {
-    if (!filter || !url) return true;
+    // Dispatch a single key press, click or text entry at the input's target
+    async function runInput(input) {
+        let element;
+        try {
+            element = resolveTarget(input.target);
+        } catch (e) {
+            return { success: false, error: `Invalid ${input.target.strategy} locator "${input.target.value}": ${e.message}` };
+        }
+        if (!element) {
+            return { success: false, error: `No element matches ${input.target.strategy} "${input.target.value}"` };
+        }
+
+        // Keys and text go to the focused element, so move focus onto an explicit target first
+        if (input.type !== 'mouse' && input.target?.value && typeof element.focus === 'function' &&
+            !element.contains(document.activeElement)) {
+            element.focus();
+            // Focusing an editor puts the caret at its start; continue after any existing content
+            if (element.isContentEditable) moveCaretToEnd(element);
+        }
 
-    const filters = filter.split(',').map(f => f.trim().toLowerCase());
-    const urlLower = url.toLowerCase();
+        if (input.type === 'key') return pressKey(element, input);
+        if (input.type === 'mouse') return click(element, input);
+        if (input.type === 'text') return typeText(element, input.text, input.charDelay || 0);
+        return { success: false, error: `Unknown input type "${input.type}"` };
+    }
 
-    return filters.some(f => {
-        if (f.startsWith('*.')) {
-            const domain = f.slice(2);
-            return urlLower.includes(domain);
+    function isVisible(element) {
+        if (typeof element.checkVisibility === 'function') {
+            return element.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true });
         }
-        return urlLower.includes(f);
-    });
+        const style = getComputedStyle(element);
+        return style.visibility !== 'hidden' && style.opacity !== '0' && element.getClientRects().length > 0;
+    }
+
+    function meetsCondition(element, waitFor) {
+        if (waitFor.condition === 'visible') return isVisible(element);
+        if (waitFor.condition === 'containsText') {
+            const content = `${element.value ?? ''} ${element.innerText ?? element.textContent}`;
+            return content.replace(/\s+/g, ' ').toLowerCase().includes(waitFor.text.trim().toLowerCase());
+        }
+        return true;
+    }
+
+    // Poll until the precondition holds; a timeout reports the configured outcome to the worker
+    async function waitForCondition(waitFor) {
+        const deadline = Date.now() + (waitFor.timeout || 0);
+        while (true) {
+            let element;
+            try {
+                element = resolveTarget(waitFor);
+            } catch (e) {
+                return { success: false, error: `Invalid ${waitFor.strategy} locator "${waitFor.value}": ${e.message}` };
+            }
+            if (element && meetsCondition(element, waitFor)) return { success: true };
+            if (Date.now() >= deadline) break;
+            await sleep(WAIT_POLL_MS);
+        }
+
+        const expectation = waitFor.condition === 'visible' ? 'be visible'
+            : waitFor.condition === 'containsText' ? `contain "${waitFor.text}"`
+            : 'exist';
+        return {
+            success: false,
+            waitTimeout: true,
+            onTimeout: waitFor.onTimeout,
+            error: `Timed out after ${Math.round(waitFor.timeout / 100) / 10}s waiting for ${waitFor.strategy} "${waitFor.value}" to ${expectation}`
+        };
+    }
+
+    if (action.waitFor) {
+        const ready = await waitForCondition(action.waitFor);
+        if (!ready.success) return ready;
+    }
+
+    if (action.type === 'macro') {
+        const steps = action.steps || [];
+        const skipped = [];
+        for (let i = 0; i < steps.length; i++) {
+            const step = steps[i];
+            if (step.delay > 0) await sleep(step.delay);
+
+            if (step.type === 'wait') {
+                await sleep(step.duration || 0);
+                continue;
+            }
+
+            if (step.waitFor) {
+                const ready = await waitForCondition(step.waitFor);
+                if (ready.waitTimeout && ready.onTimeout === 'skip') {
+                    // A skipped step lets the rest of the macro carry on
+                    skipped.push(`Step ${i + 1} skipped: ${ready.error}`);
+                    continue;
+                }
+                if (!ready.success) return { ...ready, error: `Step ${i + 1}: ${ready.error}` };
+            }
+
+            const result = await runInput(step);
+            if (!result.success) {
+                return { success: false, error: `Step ${i + 1}: ${result.error}` };
+            }
+        }
+        return { success: true, skipped };
+    }
+
+    return runInput(action);
 }
 
 // Update badge count
@@ -326,6 +1102,7 @@ async function refreshBadge() {
 
     if (!settings.globalEnabled) {
         updateBadge(0);
+        updateWatchdog(0);
         return;
     }
 
@@ -333,10 +1110,11 @@ async function refreshBadge() {
     let activeCount = 0;
     for (const action of actions) {
         if (action.instances) {
-            activeCount += Object.values(action.instances).filter(i => i.enabled).length;
+            activeCount += Object.values(action.instances).filter(i => i.enabled && !i.paused).length;
         }
     }
     updateBadge(activeCount);
+    updateWatchdog(activeCount);
 }
 
 function notifyCompletion(name, reason) {
@@ -370,15 +1148,21 @@ async function handleMessage(message, sender) {
             return { success: true };
 
         case 'STOP_ACTION_ON_TAB':
-            await stopActionOnTab(message.actionId, message.tabId);
+            await stopActionOnTab(message.actionId, message.tabId || sender?.tab?.id);
             return { success: true };
 
         case 'GET_ACTION_INSTANCES':
             return await getActionInstances(message.actionId);
 
+        case 'ATTACH_ACTION':
+            await initializeTimers();
+            await attachMatchingTabs(message.actionId);
+            return { success: true };
+
         case 'REFRESH_TIMERS':
             isInitialized = false;
-            await initializeTimers();
+            await initializeTimers({ reschedule: true });
+            await attachMatchingTabs();
             return { success: true };
 
         case 'TOGGLE_GLOBAL':
@@ -413,19 +1197,114 @@ async function handleMessage(message, sender) {
             await saveSettings({ showOverlay: false });
             return { success: true };
 
+        case 'SAVE_OVERLAY_LAYOUT':
+            return await saveOverlayLayout(message.key, message.layout);
+
         case 'GET_CURRENT_TAB':
             const [currentTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
             return { tabId: currentTab?.id, tabTitle: currentTab?.title, tabUrl: currentTab?.url };
 
+        case 'TRIGGER_FIRED':
+            await fireTrigger(message.triggerId, sender?.tab?.id);
+            return { success: true };
+
+        case 'SET_INSTANCE_PAUSED':
+            return await setInstancePaused(message.actionId, message.tabId || sender?.tab?.id, message.paused);
+
+        case 'PAUSE_TAB':
+            return await pauseTab(sender?.tab?.id, message.reason);
+
+        case 'RESUME_TAB':
+            return await resumeTab(message.tabId || sender?.tab?.id);
+
+        case 'RUN_NOW':
+            return await runInstanceNow(message.actionId, message.tabId || sender?.tab?.id);
+
+        case 'SKIP_NEXT_RUN':
+            return await skipNextRun(message.actionId, message.tabId || sender?.tab?.id);
+
         case 'GET_MY_TAB_ID':
             // Returns the tab ID of the sender (for content scripts to know their own tab ID)
             return { tabId: sender?.tab?.id };
 
+        case 'START_PICKER':
+            return await startPicker(message.targetTabId, message.context);
+
+        case 'PICKER_RESULT':
+            await savePickerResult(message.target, sender?.tab?.id);
+            return { success: true };
+
+        case 'PICKER_CANCELLED':
+            await clearPickerState();
+            return { success: true };
+
+        case 'START_RECORDING':
+            return await startRecording(message.targetTabId, message.context);
+
+        case 'STOP_RECORDING':
+            return await stopRecording();
+
+        case 'RECORDING_RESULT':
+            await saveRecordingResult(message.events, sender?.tab?.id);
+            return { success: true };
+
         default:
             return { error: 'Unknown message type' };
     }
 }
 
+// Put the tab's content script into inspect mode; the popup picks up the result when reopened
+async function startPicker(tabId, context) {
+    if (!tabId) return { error: 'No target tab' };
+    try {
+        await chrome.tabs.sendMessage(tabId, { type: 'START_PICKER' });
+    } catch (e) {
+        return { error: 'Cannot pick elements on this page' };
+    }
+    await savePickerState({ status: 'picking', tabId, context: context || null, startedAt: Date.now() });
+    return { success: true };
+}
+
+async function savePickerResult(target, tabId) {
+    const state = await getPickerState();
+    if (!state || state.status !== 'picking' || state.tabId !== tabId) return;
+    await savePickerState({ ...state, status: 'picked', target });
+}
+
+// Recording follows the picker hand-off: the page records, the popup converts on reopen
+async function startRecording(tabId, context) {
+    if (!tabId) return { error: 'No target tab' };
+    try {
+        await chrome.tabs.sendMessage(tabId, { type: 'START_RECORDING' });
+    } catch (e) {
+        return { error: 'Cannot record on this page' };
+    }
+    await saveRecorderState({ status: 'recording', tabId, context: context || null, startedAt: Date.now() });
+    return { success: true };
+}
+
+async function stopRecording() {
+    const state = await getRecorderState();
+    if (!state || state.status !== 'recording') return { error: 'Not recording' };
+
+    let events = [];
+    try {
+        const response = await chrome.tabs.sendMessage(state.tabId, { type: 'STOP_RECORDING' });
+        events = response?.events || [];
+    } catch (e) {
+        // Tab closed or navigated away; whatever was captured there is gone
+    }
+    const recorded = { ...state, status: 'recorded', events };
+    await saveRecorderState(recorded);
+    return { success: true, state: recorded };
+}
+
+async function saveRecordingResult(events, tabId) {
+    const state = await getRecorderState();
+    if (!state || state.status !== 'recording' || state.tabId !== tabId) return;
+    await saveRecorderState({ ...state, status: 'recorded', events: events || [] });
+}
+
 async function toggleOverlayOnActiveTab() {
     const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
     if (tab && tab.id && !tab.url?.startsWith('chrome://')) {
@@ -463,35 +1342,75 @@ async function shouldShowOverlayOnTab(tabId) {
 async function getFullStatus() {
     const actions = await getActions();
     const settings = await getSettings();
-    const countdowns = {};
-
-    // Build countdown data from active timers
-    for (const [key, timerInfo] of activeTimers) {
-        if (!countdowns[timerInfo.actionId]) {
-            countdowns[timerInfo.actionId] = {};
-        }
-        countdowns[timerInfo.actionId][timerInfo.tabId] = {
-            nextExecution: timerInfo.nextExecution,
-            remaining: Math.max(0, timerInfo.nextExecution - Date.now())
-        };
-    }
+    const countdowns = buildCountdowns(Date.now());
 
     return { actions, settings, activeTimers: Array.from(activeTimers.keys()), countdowns };
 }
 
 function getCountdownData() {
-    const countdowns = {};
     const now = Date.now();
-    for (const [key, timerInfo] of activeTimers) {
+    return { countdowns: buildCountdowns(now), serverTime: now };
+}
+
+// Coalesce bursts of changes (a run updates its timer and its instance) into one push per overlay
+function notifyOverlays() {
+    if (overlayPorts.size === 0 || overlayPushPending) return;
+    overlayPushPending = true;
+    setTimeout(async () => {
+        overlayPushPending = false;
+        try {
+            const actions = await getActions();
+            const countdowns = buildCountdowns(Date.now());
+            for (const port of overlayPorts) {
+                try {
+                    port.postMessage(getTabStatus(port.sender.tab.id, actions, countdowns));
+                } catch (e) {
+                    overlayPorts.delete(port);
+                }
+            }
+        } catch (error) {
+            console.warn('Could not push overlay status:', error);
+        }
+    }, 0);
+}
+
+// Only what the overlay on one tab shows; it counts down locally from nextExecution
+function getTabStatus(tabId, actions, countdowns) {
+    const tabActions = actions.filter(action => action.instances?.[tabId]?.enabled);
+    const tabCountdowns = {};
+    for (const action of tabActions) {
+        const countdown = countdowns[action.id]?.[tabId];
+        if (countdown) tabCountdowns[action.id] = { [tabId]: countdown };
+    }
+    return { type: 'STATUS', tabId, actions: tabActions, countdowns: tabCountdowns };
+}
+
+// Countdown data per action and tab; trigger-driven instances have no next run until their event fires
+function buildCountdowns(now) {
+    const countdowns = {};
+    for (const triggerInfo of activeTriggers.values()) {
+        if (!countdowns[triggerInfo.actionId]) {
+            countdowns[triggerInfo.actionId] = {};
+        }
+        countdowns[triggerInfo.actionId][triggerInfo.tabId] = {
+            nextExecution: null,
+            remaining: null,
+            running: triggerInfo.running || false,
+            waitingForTrigger: true
+        };
+    }
+    // A pending timer (e.g. a precondition retry) takes precedence over the trigger
+    for (const timerInfo of activeTimers.values()) {
         if (!countdowns[timerInfo.actionId]) {
             countdowns[timerInfo.actionId] = {};
         }
         countdowns[timerInfo.actionId][timerInfo.tabId] = {
             nextExecution: timerInfo.nextExecution,
-            remaining: Math.max(0, timerInfo.nextExecution - now)
+            remaining: Math.max(0, timerInfo.nextExecution - now),
+            running: timerInfo.running || false
         };
     }
-    return { countdowns, serverTime: now };
+    return countdowns;
 }
 
 // Start an action on a specific tab (creates an instance)
@@ -499,12 +1418,14 @@ async function startActionOnTab(actionId, tabId, tabTitle = null) {
     const actions = await getActions();
     const action = actions.find(a => a.id === actionId);
     if (!action) return { error: 'Action not found' };
+    if (action.schedule && !isValidSchedule(action.schedule)) return { error: 'Action has an invalid schedule' };
 
     // Auto-enable global toggle if disabled
     const settings = await getSettings();
     if (!settings.globalEnabled) {
         await saveSettings({ globalEnabled: true });
         isInitialized = false;
+        await initializeTimers({ reschedule: true });
     }
 
     // Get tab title if not provided
@@ -517,6 +1438,16 @@ async function startActionOnTab(actionId, tabId, tabTitle = null) {
         }
     }
 
+    // Starting a paused instance resumes it with its counters intact
+    if (action.instances?.[tabId]?.paused) {
+        await resumeInstance(action, tabId);
+        await refreshBadge();
+        return { success: true };
+    }
+
+    // Starting by hand lifts an earlier stop, so URL binding may attach here again
+    await setTabDetached(actionId, tabId, false);
+
     // Add or update instance
     const result = await addActionInstance(actionId, tabId, tabTitle);
     if (result?.error) return result;
@@ -527,15 +1458,16 @@ async function startActionOnTab(actionId, tabId, tabTitle = null) {
     return { success: true };
 }
 
-// Stop an action on a specific tab (removes instance)
-async function stopActionOnTab(actionId, tabId) {
-    const timerKey = `${actionId}-${tabId}`;
-    const timerInfo = activeTimers.get(timerKey);
-    if (timerInfo && timerInfo.timerId) {
-        clearTimeout(timerInfo.timerId);
-    }
-    activeTimers.delete(timerKey);
+// Stop an action on a specific tab (removes instance). A URL-bound action then stays off that tab
+// until it closes or the action is started there by hand, unless reattach is set (the tab left the
+// action's Target URL or is gone).
+async function stopActionOnTab(actionId, tabId, { reattach = false } = {}) {
+    clearTimer(`${actionId}-${tabId}`);
+    await clearTrigger(`${actionId}-${tabId}`);
     await removeActionInstance(actionId, tabId);
+    if (!reattach && (await getActions()).find(action => action.id === actionId)?.autoAttach) {
+        await setTabDetached(actionId, tabId, true);
+    }
     await refreshBadge();
 }
 
@@ -547,6 +1479,155 @@ async function stopActionOnAllTabs(actionId) {
     }
 }
 
+// Pause one instance, keeping its counters and the time left until its next run
+async function pauseInstance(action, tabId, reason = 'user') {
+    const instance = action.instances?.[tabId];
+    if (!instance?.enabled || instance.paused) return false;
+
+    const timerKey = `${action.id}-${tabId}`;
+    const timerInfo = activeTimers.get(timerKey);
+    const now = Date.now();
+    const remainingMs = timerInfo ? Math.max(0, timerInfo.nextExecution - now) : null;
+
+    clearTimer(timerKey);
+    await clearTrigger(timerKey);
+    await updateActionInstance(action.id, tabId, { paused: { reason, at: now, remainingMs }, nextExecution: null });
+    return true;
+}
+
+// Resume a paused instance where it left off; time spent paused doesn't count toward its time limit
+async function resumeInstance(action, tabId) {
+    const instance = action.instances?.[tabId];
+    if (!instance?.paused) return false;
+
+    const now = Date.now();
+    const { at, remainingMs } = instance.paused;
+    await updateActionInstance(action.id, tabId, {
+        paused: null,
+        startedAt: instance.startedAt ? instance.startedAt + (now - at) : now
+    });
+
+    const settings = await getSettings();
+    if (!settings.globalEnabled) return true;
+
+    if (remainingMs != null && !action.trigger) {
+        const nextExecution = now + remainingMs;
+        armTimer(action.id, tabId, nextExecution);
+        await updateActionInstance(action.id, tabId, { nextExecution });
+    } else {
+        await scheduleActionOnTab(action, tabId);
+    }
+    return true;
+}
+
+async function setInstancePaused(actionId, tabId, paused) {
+    const actions = await getActions();
+    const action = actions.find(a => a.id === actionId);
+    if (!action?.instances?.[tabId]) return { error: 'Action is not running on this tab' };
+
+    const changed = paused ? await pauseInstance(action, tabId) : await resumeInstance(action, tabId);
+    if (changed) await refreshBadge();
+    return { success: true, changed };
+}
+
+// Pause every running instance on a tab (emergency stop on user input); nothing runs until it is resumed
+async function pauseTab(tabId, reason) {
+    if (!tabId) return { paused: 0 };
+    const actions = await getActions();
+    let paused = 0;
+
+    for (const action of actions) {
+        if (!await pauseInstance(action, tabId, reason)) continue;
+        logActionEvent(action, tabId, 'info', reason === 'userInput' ? 'Paused by user input' : 'Paused');
+        paused++;
+    }
+
+    if (paused > 0) await refreshBadge();
+    return { paused };
+}
+
+async function resumeTab(tabId) {
+    if (!tabId) return { resumed: 0 };
+    const actions = await getActions();
+    let resumed = 0;
+
+    for (const action of actions) {
+        if (await resumeInstance(action, tabId)) resumed++;
+    }
+
+    await refreshBadge();
+    return { resumed };
+}
+
+async function isInstancePaused(actionId, tabId) {
+    const instances = await getActionInstances(actionId);
+    return Boolean(instances?.[tabId]?.paused);
+}
+
+// Run an instance immediately; its schedule restarts from this run
+async function runInstanceNow(actionId, tabId) {
+    await initializeTimers();
+    const settings = await getSettings();
+    if (!settings.globalEnabled) return { error: 'GhostInput is turned off' };
+
+    const instances = await getActionInstances(actionId);
+    const instance = instances?.[tabId];
+    if (!instance) return { error: 'Action is not running on this tab' };
+    if (instance.paused) return { error: 'Resume the action first' };
+
+    // No awaits between the check and flagging the run, so a second request can't slip in
+    const timerKey = `${actionId}-${tabId}`;
+    if (activeTimers.get(timerKey)?.running || activeTriggers.get(timerKey)?.running) {
+        return { error: 'Action is already running' };
+    }
+
+    // A trigger stays armed and ignores events while running. A pending timer is swapped for one
+    // due now, so it can't fire mid-run and the run keeps its planned slot for fixed-rate timing.
+    let runInfo = activeTriggers.get(timerKey);
+    if (!runInfo) {
+        const pending = activeTimers.get(timerKey);
+        const now = Date.now();
+        clearTimer(timerKey);
+        runInfo = {
+            timerId: null, alarmName: null, nextExecution: now, plannedAt: pending?.plannedAt ?? now,
+            catchUpRuns: 0, waitRetries: 0, actionId, tabId
+        };
+        activeTimers.set(timerKey, runInfo);
+    }
+    setRunning(runInfo, true);
+
+    try {
+        await executeAndRescheduleOnTab(actionId, tabId);
+    } finally {
+        setRunning(runInfo, false);
+    }
+    return { success: true };
+}
+
+// Move an instance's next timed run to the occurrence after it
+async function skipNextRun(actionId, tabId) {
+    await initializeTimers();
+    const timerInfo = activeTimers.get(`${actionId}-${tabId}`);
+    if (!timerInfo || timerInfo.running) return { error: 'No upcoming run to skip' };
+
+    const actions = await getActions();
+    const action = actions.find(a => a.id === actionId);
+    if (!action?.instances?.[tabId]) return { error: 'Action is not running on this tab' };
+
+    let nextExecution;
+    try {
+        nextExecution = getNextExecution(action, timerInfo.nextExecution);
+    } catch (error) {
+        return { error: `Invalid schedule: ${error.message}` };
+    }
+    if (nextExecution === null) return { error: 'Schedule has no later occurrence' };
+
+    armTimer(actionId, tabId, nextExecution, { catchUpRuns: timerInfo.catchUpRuns });
+    await updateActionInstance(actionId, tabId, { nextExecution });
+    logActionEvent(action, tabId, 'skipped', 'Skipped the next run');
+    return { success: true, nextExecution };
+}
+
 // Legacy wrapper for backward compatibility
 async function startAction(actionId, targetTabId = null) {
     if (!targetTabId) {
@@ -565,9 +1646,9 @@ async function toggleActionState(actionId, shouldBeEnabled, targetTabId = null)
     if (shouldBeEnabled) {
         return await startAction(actionId, targetTabId);
     } else {
-        // If tabId provided, stop only on that tab, else stop all
+        // If tabId provided, pause only on that tab (keeping its counters), else stop all
         if (targetTabId) {
-            await stopActionOnTab(actionId, targetTabId);
+            await setInstancePaused(actionId, targetTabId, true);
         } else {
             await stopAction(actionId);
         }
@@ -582,13 +1663,11 @@ async function toggleGlobal() {
 
     if (newEnabled) {
         isInitialized = false;
-        await initializeTimers();
+        await initializeTimers({ reschedule: true });
     } else {
-        for (const [actionId, timerInfo] of activeTimers) {
-            if (timerInfo.timerId) clearTimeout(timerInfo.timerId);
-        }
-        activeTimers.clear();
+        await clearAllTimers();
         updateBadge(0);
+        updateWatchdog(0);
     }
     return { globalEnabled: newEnabled };
 }
@@ -598,4 +1677,4 @@ chrome.commands.onCommand.addListener(async (command) => {
     else if (command === 'toggle-overlay') await toggleOverlayOnActiveTab();
 });
 
-initializeTimers();
+initializeTimers().catch(error => console.error('Failed to initialize timers:', error));
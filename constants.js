@@ -40,8 +40,78 @@ export const MOUSE_ACTIONS = {
   doubleClick: { type: 'dblclick', button: 0, label: 'Double Click' }
 };
 
+// Where a mouse action lands; x/y are viewport pixels or an offset from the target's top-left corner
+export const CLICK_POSITIONS = {
+  center: { label: 'Target center' },
+  viewport: { label: 'Viewport X/Y' },
+  offset: { label: 'Offset in target' }
+};
+
 export const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
 
+// Step types available inside a macro action
+export const MACRO_STEP_TYPES = {
+  key: { label: 'Key' },
+  mouse: { label: 'Click' },
+  text: { label: 'Type text' },
+  wait: { label: 'Wait' }
+};
+
+export const MAX_MACRO_STEPS = 50;
+
+// Locator strategies for targeting a specific element in the page
+export const TARGET_STRATEGIES = {
+  css: { label: 'CSS', placeholder: 'e.g. #submit or .btn-primary' },
+  xpath: { label: 'XPath', placeholder: 'e.g. //button[@type="submit"]' },
+  text: { label: 'Text', placeholder: 'e.g. Sign in' }
+};
+
+// Preconditions checked before an action or macro step runs
+export const WAIT_CONDITIONS = {
+  exists: { label: 'Exists' },
+  visible: { label: 'Is visible' },
+  containsText: { label: 'Contains text' }
+};
+
+// What to do when a precondition is still unmet after its timeout
+export const WAIT_TIMEOUT_OUTCOMES = {
+  skip: { label: 'Skip' },
+  retry: { label: 'Retry' },
+  stop: { label: 'Stop' }
+};
+
+export const DEFAULT_WAIT_TIMEOUT = 10; // seconds
+export const MAX_WAIT_TIMEOUT = 300; // seconds
+
+// Page events that can fire an action instead of a timer
+export const TRIGGER_TYPES = {
+  elementAppears: { label: 'Element appears' },
+  textMatches: { label: 'Text matches' },
+  urlChange: { label: 'URL changes' },
+  pageLoad: { label: 'Page finishes loading' }
+};
+
+// Which frames of the page an action runs in
+export const FRAME_MODES = {
+  top: { label: 'Top frame' },
+  all: { label: 'All frames' },
+  url: { label: 'Frame matching URL' },
+  selector: { label: 'Frame containing target' }
+};
+
+// Pattern syntaxes for an action's URL filter; entries go one per line
+export const URL_FILTER_MODES = {
+  match: { label: 'Match pattern', placeholder: 'e.g. https://*.example.com/*' },
+  glob: { label: 'Glob', placeholder: 'e.g. https://example.com/app/**' },
+  regex: { label: 'Regex', placeholder: 'e.g. example\\.com/(cart|checkout)' }
+};
+
+// How an interval's next run is timed: from when the last run finished, or from when it was planned
+export const INTERVAL_MODES = {
+  fixedDelay: { label: 'Fixed delay' },
+  fixedRate: { label: 'Fixed rate' }
+};
+
 export const TIME_UNITS = {
   seconds: { label: 'Seconds', multiplier: 1 },
   minutes: { label: 'Minutes', multiplier: 60 },
@@ -4,16 +4,42 @@
 (function () {
   'use strict';
 
+  let overlayHost = null; // <akp-overlay> in the page; the overlay lives in its closed shadow root
   let overlayContainer = null;
-  let styleElement = null;
   let countdownInterval = null;
+  let overlayPort = null; // status pushed by the background while the overlay is shown
+  let lastConnectAt = 0;
+  let overlayLayout = null; // { anchor, x, y, minimized } saved for this site (or for every site)
+  let layoutKey = null;
   let isVisible = false;
   let actions = [];
   let countdowns = {};
   let currentTabId = null; // Will be set via message from background
+  let pickerState = null; // { box, label, style, hovered } while picking an element
+  let recorderState = null; // { bar, count, style, events } while recording a macro
+  const triggers = new Map(); // triggerId -> { trigger, matched } for actions fired by page events
+  let triggerObserver = null;
+  let triggerCheck = null; // { timer, dueBy } while a trigger check is scheduled
+  let inputGuard = { enabled: false, armed: false, pausing: false }; // emergency stop on real user input
+
+  // Reconnect no more often than this after the worker drops the overlay's port
+  const PORT_RECONNECT_DELAY_MS = 1000;
+
+  // Layout key shared by every site when the position isn't remembered per origin
+  const GLOBAL_LAYOUT_KEY = '*';
+  const DEFAULT_LAYOUT = { anchor: 'top-right', x: 20, y: 20, minimized: false };
+
+  // GhostInput's own page UI, never picked or recorded
+  const GHOST_UI_SELECTOR = 'akp-overlay, #akp-picker-box, #akp-picker-label, #akp-recorder-bar';
 
   // Ultra-Compact Theme-Aware Overlay CSS (Scaled Up + Sharper)
   const overlayStyles = `
+    /* The host is a bare, layout-free box; page styles can't reach past it */
+    :host {
+      all: initial !important;
+      display: contents !important;
+    }
+
     /* Theme Variables - Scoped */
     #akp-countdown-overlay {
       --bg-primary: #0F172A;
@@ -152,6 +178,19 @@
       color: var(--text-primary);
     }
     
+    .akp-step-count,
+    .akp-frame {
+      font-size: var(--font-xs);
+      color: var(--text-muted);
+      white-space: nowrap;
+    }
+
+    .akp-frame {
+      max-width: 90px;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+
     .akp-timer {
       font-family: 'SF Mono', 'Roboto Mono', monospace;
       font-weight: 700;
@@ -160,6 +199,79 @@
       letter-spacing: -0.02em;
     }
     .akp-timer.urgent { color: var(--warning); }
+    .akp-timer.akp-waiting {
+      font-family: inherit;
+      font-size: var(--font-xs);
+      font-weight: 600;
+      color: var(--text-muted);
+      white-space: nowrap;
+    }
+    
+    .akp-banner {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 8px;
+      padding: 6px 8px;
+      margin-bottom: 4px;
+      border-radius: 6px;
+      background: rgba(245, 158, 11, 0.15);
+      color: var(--warning);
+      font-size: var(--font-xs);
+      font-weight: 600;
+    }
+
+    .akp-resume-one {
+      border: none;
+      background: transparent;
+      padding: 0;
+      cursor: pointer;
+    }
+    .akp-resume-one:hover { color: var(--warning); }
+
+    .akp-progress {
+      font-size: var(--font-xs);
+      color: var(--text-muted);
+      white-space: nowrap;
+    }
+
+    /* Row controls (shown while hovering a row) */
+    .akp-row-controls {
+      display: none;
+      align-items: center;
+      gap: 2px;
+      margin-left: auto;
+    }
+    .akp-item:hover .akp-row-controls { display: flex; }
+
+    .akp-row-btn {
+      width: 20px;
+      height: 20px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      border: none;
+      border-radius: 3px;
+      background: transparent;
+      color: var(--text-muted);
+      font-size: 11px;
+      cursor: pointer;
+    }
+    .akp-row-btn:hover { color: var(--text-primary); background: rgba(255,255,255,0.1); }
+    .akp-row-btn:disabled { opacity: 0.35; cursor: default; background: transparent; }
+    .akp-row-btn.akp-stop:hover { color: var(--danger); background: rgba(239,68,68,0.15); }
+    div#akp-countdown-overlay[data-theme="light"] .akp-row-btn:hover { background: rgba(0,0,0,0.05); }
+
+    .akp-resume {
+      border: none;
+      border-radius: 4px;
+      padding: 2px 8px;
+      background: var(--warning);
+      color: #0F172A;
+      font-size: var(--font-xs);
+      font-weight: 700;
+      cursor: pointer;
+    }
     
     .akp-empty {
       padding: 16px;
@@ -207,20 +319,22 @@
     if (overlayContainer) return;
     if (!document.body) return;
 
-    // Add styles
-    styleElement = document.createElement('style');
-    styleElement.id = 'akp-overlay-styles';
-    styleElement.textContent = overlayStyles;
-    document.head.appendChild(styleElement);
+    // Render inside a closed shadow root so page CSS and the overlay's class names never meet
+    overlayHost = document.createElement('akp-overlay');
+    const shadow = overlayHost.attachShadow({ mode: 'closed' });
+    const sheet = new CSSStyleSheet();
+    sheet.replaceSync(overlayStyles);
+    shadow.adoptedStyleSheets = [sheet];
 
     // Create overlay container
     overlayContainer = document.createElement('div');
     overlayContainer.id = 'akp-countdown-overlay';
 
-    // Apply theme if known (default to dark if not set)
+    // Apply theme if known (default to dark if not set) and where the overlay was left last time
     chrome.storage.local.get(['settings'], (result) => {
       const theme = result.settings?.theme || 'dark';
       overlayContainer.setAttribute('data-theme', theme);
+      restoreOverlayLayout(result.settings);
     });
 
     overlayContainer.innerHTML = `
@@ -235,7 +349,8 @@
       </div>
     `;
 
-    document.body.appendChild(overlayContainer);
+    shadow.appendChild(overlayContainer);
+    document.body.appendChild(overlayHost);
 
     // Event listeners
     overlayContainer.querySelector('.akp-minimize').addEventListener('click', (e) => {
@@ -246,6 +361,20 @@
       e.stopPropagation();
       hideOverlay();
     });
+    // The list re-renders every tick, which can swallow a click between press and release,
+    // so row controls act on mousedown through delegation
+    overlayContainer.querySelector('.akp-list').addEventListener('mousedown', (e) => {
+      if (e.button !== 0) return;
+      const control = e.target.closest('[data-control]');
+      if (!control && !e.target.closest('.akp-resume')) return;
+      e.preventDefault();
+      e.stopPropagation();
+      if (control) {
+        if (!control.disabled) sendRowControl(control.dataset.control, control.dataset.action);
+      } else {
+        resumeTab();
+      }
+    });
 
     // Restore on click (if minimized)
     overlayContainer.addEventListener('click', (e) => {
@@ -254,18 +383,27 @@
       }
     });
 
-    // Handle theme changes
+    // Handle theme changes, and switching between per-site and shared positions
     chrome.storage.onChanged.addListener((changes, area) => {
       if (area === 'local' && changes.settings) {
         const newTheme = changes.settings.newValue?.theme || 'dark';
         if (overlayContainer) {
           overlayContainer.setAttribute('data-theme', newTheme);
         }
+        if (changes.settings.newValue?.overlayLayoutScope !== changes.settings.oldValue?.overlayLayoutScope) {
+          restoreOverlayLayout(changes.settings.newValue);
+        }
       }
+      // Actions changed while the worker's port was closed (e.g. started from the popup)
+      if (area === 'local' && (changes.actions || changes.actionInstances)) reconnectIfNeeded(true);
+    });
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) reconnectIfNeeded(true);
     });
 
-    // Make draggable
+    // Make draggable; a resized window pulls the overlay back into view
     makeDraggable(overlayContainer);
+    window.addEventListener('resize', applyOverlayLayout);
 
     // Start countdown updates
     startCountdownUpdates();
@@ -275,6 +413,7 @@
 
   function makeDraggable(element) {
     let isDragging = false;
+    let moved = false;
     let startX, startY, initialX, initialY;
 
     element.addEventListener('mousedown', (e) => {
@@ -282,6 +421,7 @@
       if (e.target.closest('button') || e.target.closest('.akp-ctrl-btn')) return;
 
       isDragging = true;
+      moved = false;
       startX = e.clientX;
       startY = e.clientY;
       const rect = element.getBoundingClientRect();
@@ -291,7 +431,9 @@
       element.style.transition = 'none';
       element.style.width = getComputedStyle(element).width;
       element.style.right = 'auto'; // Disable right anchoring
+      element.style.bottom = 'auto';
       element.style.left = rect.left + 'px';
+      element.style.top = rect.top + 'px';
     });
 
     document.addEventListener('mousemove', (e) => {
@@ -299,6 +441,7 @@
       e.preventDefault();
       const dx = e.clientX - startX;
       const dy = e.clientY - startY;
+      if (dx || dy) moved = true;
       element.style.left = (initialX + dx) + 'px';
       element.style.top = (initialY + dy) + 'px';
     });
@@ -307,20 +450,77 @@
       if (isDragging) {
         isDragging = false;
         element.style.transition = 'opacity 0.2s, transform 0.2s';
+        element.style.width = '';
+        if (moved) {
+          saveOverlayLayout(getAnchoredPosition(element.getBoundingClientRect()));
+        } else {
+          applyOverlayLayout();
+        }
       }
     });
+
+    // Dropping the minimized bubble shouldn't also restore it
+    element.addEventListener('click', (e) => {
+      if (!moved) return;
+      moved = false;
+      e.stopImmediatePropagation();
+    }, true);
   }
 
   function toggleMinimize() {
     if (!overlayContainer) return;
     overlayContainer.classList.toggle('akp-minimized');
     // When minimized, the whole bubble becomes the drag handle effectively
+    saveOverlayLayout({ minimized: overlayContainer.classList.contains('akp-minimized') });
+  }
+
+  function restoreOverlayLayout(settings) {
+    if (!overlayContainer) return;
+    layoutKey = settings?.overlayLayoutScope === 'global' ? GLOBAL_LAYOUT_KEY : location.origin;
+    overlayLayout = settings?.overlayLayouts?.[layoutKey] || null;
+    overlayContainer.classList.toggle('akp-minimized', Boolean(overlayLayout?.minimized));
+    applyOverlayLayout();
+  }
+
+  // Pin the overlay to its saved corner, clamped so the whole widget stays inside the viewport
+  function applyOverlayLayout() {
+    if (!overlayContainer) return;
+    const { anchor, x, y } = overlayLayout || DEFAULT_LAYOUT;
+    const [vertical, horizontal] = anchor.split('-');
+    Object.assign(overlayContainer.style, { top: 'auto', right: 'auto', bottom: 'auto', left: 'auto' });
+
+    const rect = overlayContainer.getBoundingClientRect();
+    const maxX = Math.max(0, window.innerWidth - rect.width);
+    const maxY = Math.max(0, window.innerHeight - rect.height);
+    overlayContainer.style[horizontal] = `${Math.min(Math.max(0, x), maxX)}px`;
+    overlayContainer.style[vertical] = `${Math.min(Math.max(0, y), maxY)}px`;
+  }
+
+  // Anchor to the nearest corner so the overlay keeps its place as the window is resized
+  function getAnchoredPosition(rect) {
+    const horizontal = rect.left + rect.width / 2 < window.innerWidth / 2 ? 'left' : 'right';
+    const vertical = rect.top + rect.height / 2 < window.innerHeight / 2 ? 'top' : 'bottom';
+    return {
+      anchor: `${vertical}-${horizontal}`,
+      x: Math.max(0, Math.round(horizontal === 'left' ? rect.left : window.innerWidth - rect.right)),
+      y: Math.max(0, Math.round(vertical === 'top' ? rect.top : window.innerHeight - rect.bottom))
+    };
+  }
+
+  function saveOverlayLayout(changes) {
+    overlayLayout = { ...DEFAULT_LAYOUT, ...overlayLayout, ...changes };
+    applyOverlayLayout();
+    if (!layoutKey) return;
+    try {
+      chrome.runtime.sendMessage({ type: 'SAVE_OVERLAY_LAYOUT', key: layoutKey, layout: overlayLayout });
+    } catch (e) { }
   }
 
   function hideOverlay() {
     if (!overlayContainer) return;
     overlayContainer.classList.add('akp-hidden');
     isVisible = false;
+    stopCountdownUpdates();
     try {
       chrome.runtime.sendMessage({ type: 'OVERLAY_HIDDEN' });
     } catch (e) { }
@@ -332,39 +532,66 @@
     } else {
       overlayContainer.classList.remove('akp-hidden');
       isVisible = true;
+      startCountdownUpdates();
     }
   }
 
+  // The background pushes this tab's status over a port; between pushes the countdowns tick locally
   function startCountdownUpdates() {
+    connectOverlayPort();
     if (countdownInterval) clearInterval(countdownInterval);
-    updateCountdowns();
-    countdownInterval = setInterval(updateCountdowns, 100);
+    countdownInterval = setInterval(tickCountdowns, 100);
   }
 
-  async function updateCountdowns() {
-    if (!overlayContainer || !isVisible) return;
-    if (document.hidden) return;
+  function stopCountdownUpdates() {
+    if (countdownInterval) {
+      clearInterval(countdownInterval);
+      countdownInterval = null;
+    }
+    if (overlayPort) {
+      overlayPort.disconnect();
+      overlayPort = null;
+    }
+  }
 
+  function connectOverlayPort() {
+    if (overlayPort) return;
+    lastConnectAt = Date.now();
     try {
-      const status = await chrome.runtime.sendMessage({ type: 'GET_STATUS' });
-      if (status) {
-        if (!currentTabId) {
-          const tabInfo = await chrome.runtime.sendMessage({ type: 'GET_MY_TAB_ID' });
-          currentTabId = tabInfo?.tabId;
-        }
-
-        actions = (status.actions || []).filter(a =>
-          a.instances && a.instances[currentTabId] && a.instances[currentTabId].enabled
-        );
-        countdowns = status.countdowns || {};
-        renderActions();
-      }
+      overlayPort = chrome.runtime.connect({ name: 'overlay' });
     } catch (e) {
-      if (countdownInterval) {
-        clearInterval(countdownInterval);
-        countdownInterval = null;
-      }
+      // The extension was reloaded and this content script is orphaned
+      stopCountdownUpdates();
+      return;
     }
+    overlayPort.onMessage.addListener((status) => {
+      if (status?.type !== 'STATUS') return;
+      currentTabId = status.tabId;
+      actions = status.actions || [];
+      countdowns = status.countdowns || {};
+      renderActions();
+    });
+    // Chrome shuts an idle worker down, taking the port with it
+    overlayPort.onDisconnect.addListener(() => {
+      overlayPort = null;
+    });
+  }
+
+  // Reconnect (waking the worker) only when there is something to hear: a run is due or the page is back in view
+  function reconnectIfNeeded(force = false) {
+    if (overlayPort || !isVisible || Date.now() - lastConnectAt < PORT_RECONNECT_DELAY_MS) return;
+    const now = Date.now();
+    const due = actions.some(action => {
+      const nextExecution = countdowns[action.id]?.[currentTabId]?.nextExecution;
+      return nextExecution && nextExecution <= now;
+    });
+    if (force || due) connectOverlayPort();
+  }
+
+  function tickCountdowns() {
+    if (!overlayContainer || !isVisible || document.hidden) return;
+    reconnectIfNeeded();
+    renderActions();
   }
 
   function renderActions() {
@@ -379,25 +606,91 @@
     }
 
     const now = Date.now();
+    const pausedByInput = actions.some(action => action.instances[currentTabId].paused?.reason === 'userInput');
+    const banner = pausedByInput ? `
+      <div class="akp-banner">
+        <span>Paused by user input</span>
+        <button class="akp-resume">Resume</button>
+      </div>
+    ` : '';
 
-    list.innerHTML = actions.map(action => {
+    list.innerHTML = banner + actions.map(action => {
+      const instance = action.instances[currentTabId];
       const actionCountdowns = countdowns[action.id];
       const tabCountdown = actionCountdowns ? actionCountdowns[currentTabId] : null;
       const remaining = tabCountdown ? Math.max(0, tabCountdown.nextExecution - now) : 0;
-      const timeDisplay = formatCountdown(remaining);
+      // Scheduled actions show the wall-clock time of their next run until the last minute
+      const timeDisplay = instance.paused
+        ? `<button class="akp-timer akp-waiting akp-resume-one" data-control="resume" data-action="${escapeHtml(action.id)}" title="Resume">▶ paused</button>`
+        : tabCountdown?.running
+        ? '<span class="akp-timer urgent">RUN</span>'
+        : tabCountdown?.waitingForTrigger
+          ? '<span class="akp-timer akp-waiting">waiting for trigger</span>'
+          : action.schedule && remaining >= 60000
+          ? `<span class="akp-timer" title="${escapeHtml(action.schedule)}">${formatOccurrence(tabCountdown.nextExecution, now)}</span>`
+          : formatCountdown(remaining);
 
       return `
         <div class="akp-item">
           <div class="akp-info-row">
-            <span class="akp-key-badge">${getActionIcon(action)}</span>
+            <span class="akp-key-badge">${escapeHtml(getActionIcon(action))}</span>
             <span class="akp-name-text">${escapeHtml(action.name)}</span>
+            ${action.type === 'macro' ? `<span class="akp-step-count">${action.steps?.length || 0} steps</span>` : ''}
+            ${formatFrame(instance.frame)}
+            ${formatProgress(action, instance, now)}
           </div>
+          ${formatRowControls(action, instance, tabCountdown)}
           ${timeDisplay}
         </div>
       `;
     }).join('');
   }
 
+  function formatRowControls(action, instance, tabCountdown) {
+    const id = escapeHtml(action.id);
+    const running = tabCountdown?.running;
+    return `
+      <div class="akp-row-controls">
+        <button class="akp-row-btn" data-control="runNow" data-action="${id}" title="Run now"${instance.paused || running ? ' disabled' : ''}>⚡</button>
+        ${tabCountdown?.nextExecution ? `<button class="akp-row-btn" data-control="skip" data-action="${id}" title="Skip next run"${running ? ' disabled' : ''}>⏭</button>` : ''}
+        ${instance.paused
+          ? `<button class="akp-row-btn" data-control="resume" data-action="${id}" title="Resume">▶</button>`
+          : `<button class="akp-row-btn" data-control="pause" data-action="${id}" title="Pause">⏸</button>`}
+        <button class="akp-row-btn akp-stop" data-control="stop" data-action="${id}" title="Stop on this tab">■</button>
+      </div>
+    `;
+  }
+
+  // How far an instance is toward its repeat or time limit; the clock stands still while paused
+  function formatProgress(action, instance, now) {
+    const parts = [];
+    if (action.repeatLimit) {
+      parts.push(`${instance.executionCount || 0}/${escapeHtml(action.repeatLimit)}`);
+    }
+    if (action.timeLimit && instance.startedAt) {
+      const elapsed = (instance.paused?.at || now) - instance.startedAt;
+      const minutesLeft = Math.max(0, Math.ceil((action.timeLimit * 60000 - elapsed) / 60000));
+      parts.push(`${minutesLeft} min left`);
+    }
+    if (parts.length === 0) return '';
+    return `<span class="akp-progress">${parts.join(' · ')}</span>`;
+  }
+
+  // Frame the last run landed in, for actions that target iframes
+  function formatFrame(frame) {
+    if (!frame) return '';
+    if (frame.count > 1) return `<span class="akp-frame">in ${frame.count} frames</span>`;
+    if (frame.frameId === 0) return '<span class="akp-frame">in top frame</span>';
+
+    let label = frame.url || `frame ${frame.frameId}`;
+    try {
+      label = new URL(frame.url).hostname || label;
+    } catch (e) {
+      // about:blank and srcdoc frames have no host
+    }
+    return `<span class="akp-frame" title="${escapeHtml(frame.url || '')}">in ${escapeHtml(label)}</span>`;
+  }
+
   function formatCountdown(ms) {
     if (ms <= 0) {
       return '<span class="akp-timer urgent">NOW</span>';
@@ -417,8 +710,23 @@
     }
   }
 
+  // "08:30" today, "Mon 08:30" this week, "Oct 20 08:30" further out
+  function formatOccurrence(timestamp, now) {
+    const date = new Date(timestamp);
+    const time = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    const daysAway = Math.floor((timestamp - today.getTime()) / 86400000);
+
+    if (daysAway === 0) return time;
+    if (daysAway < 7) return `${date.toLocaleDateString('en-US', { weekday: 'short' })} ${time}`;
+    return `${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} ${time}`;
+  }
+
   function getActionIcon(action) {
     if (action.type === 'mouse') return '🖱️';
+    if (action.type === 'macro') return '⛓';
+    if (action.type === 'text') return '✎';
     if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(action.key)) {
       return { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' }[action.key];
     }
@@ -427,10 +735,511 @@
     return action.key?.charAt(0) || '?';
   }
 
+  // Safe in element text and in quoted attributes; frame URLs and imported actions can hold quotes
   function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text || '';
-    return div.innerHTML;
+    return String(text || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Element picker: highlight elements under the cursor and report a stable selector
+  const pickerStyles = `
+    #akp-picker-box {
+      position: fixed;
+      pointer-events: none;
+      z-index: 2147483646;
+      border: 2px solid #6366F1;
+      background: rgba(99, 102, 241, 0.15);
+      border-radius: 2px;
+      transition: all 0.05s linear;
+    }
+    #akp-picker-label {
+      position: fixed;
+      pointer-events: none;
+      z-index: 2147483647;
+      max-width: 360px;
+      padding: 3px 8px;
+      background: #0F172A;
+      color: #F1F5F9;
+      border-radius: 4px;
+      font: 600 12px/1.5 'SF Mono', 'Roboto Mono', monospace;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+    }
+  `;
+
+  function startPicker() {
+    if (pickerState || !document.body) return;
+
+    const style = document.createElement('style');
+    style.id = 'akp-picker-styles';
+    style.textContent = pickerStyles;
+    document.head.appendChild(style);
+
+    const box = document.createElement('div');
+    box.id = 'akp-picker-box';
+    const label = document.createElement('div');
+    label.id = 'akp-picker-label';
+    label.textContent = 'Click an element · Esc to cancel';
+    document.body.append(box, label);
+
+    pickerState = { box, label, style, hovered: null };
+
+    // Capture phase so the page never sees the picking clicks
+    document.addEventListener('mousemove', onPickerMove, true);
+    document.addEventListener('click', onPickerClick, true);
+    document.addEventListener('mousedown', swallowPickerEvent, true);
+    document.addEventListener('mouseup', swallowPickerEvent, true);
+    document.addEventListener('keydown', onPickerKeydown, true);
+  }
+
+  function stopPicker() {
+    if (!pickerState) return;
+    document.removeEventListener('mousemove', onPickerMove, true);
+    document.removeEventListener('click', onPickerClick, true);
+    document.removeEventListener('mousedown', swallowPickerEvent, true);
+    document.removeEventListener('mouseup', swallowPickerEvent, true);
+    document.removeEventListener('keydown', onPickerKeydown, true);
+    pickerState.box.remove();
+    pickerState.label.remove();
+    pickerState.style.remove();
+    pickerState = null;
+  }
+
+  function isPickable(element) {
+    return element instanceof Element &&
+      element !== document.documentElement &&
+      !element.closest(GHOST_UI_SELECTOR);
+  }
+
+  function onPickerMove(e) {
+    const element = e.target;
+    if (!isPickable(element) || element === pickerState.hovered) return;
+    pickerState.hovered = element;
+
+    const rect = element.getBoundingClientRect();
+    Object.assign(pickerState.box.style, {
+      top: rect.top + 'px',
+      left: rect.left + 'px',
+      width: rect.width + 'px',
+      height: rect.height + 'px'
+    });
+
+    const labelTop = rect.top > 28 ? rect.top - 26 : rect.bottom + 4;
+    pickerState.label.style.top = labelTop + 'px';
+    pickerState.label.style.left = Math.max(0, rect.left) + 'px';
+    pickerState.label.textContent = generateSelector(element);
+  }
+
+  function onPickerClick(e) {
+    swallowPickerEvent(e);
+    if (!isPickable(e.target)) return;
+
+    const selector = generateSelector(e.target);
+    stopPicker();
+    chrome.runtime.sendMessage({ type: 'PICKER_RESULT', target: { strategy: 'css', value: selector } });
+  }
+
+  function onPickerKeydown(e) {
+    if (e.key !== 'Escape') return;
+    swallowPickerEvent(e);
+    stopPicker();
+    chrome.runtime.sendMessage({ type: 'PICKER_CANCELLED' });
+  }
+
+  function swallowPickerEvent(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    e.stopImmediatePropagation();
+  }
+
+  // Build a selector that survives re-renders: id, then data-* attributes, then structure
+  const PREFERRED_DATA_ATTRIBUTES = ['data-testid', 'data-test', 'data-qa', 'data-cy', 'data-id'];
+
+  function isUniqueSelector(selector) {
+    try {
+      return document.querySelectorAll(selector).length === 1;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function getAnchorSelector(element) {
+    const tag = element.tagName.toLowerCase();
+
+    if (element.id) {
+      const idSelector = `#${CSS.escape(element.id)}`;
+      if (isUniqueSelector(idSelector)) return idSelector;
+    }
+
+    const dataAttributes = Array.from(element.attributes)
+      .filter(attr => attr.name.startsWith('data-') && attr.value && attr.value.length <= 80)
+      .sort((a, b) => {
+        const rank = name => {
+          const index = PREFERRED_DATA_ATTRIBUTES.indexOf(name);
+          return index === -1 ? PREFERRED_DATA_ATTRIBUTES.length : index;
+        };
+        return rank(a.name) - rank(b.name);
+      });
+
+    for (const attr of dataAttributes) {
+      const attrSelector = `${tag}[${attr.name}="${CSS.escape(attr.value)}"]`;
+      if (isUniqueSelector(attrSelector)) return attrSelector;
+    }
+
+    return null;
+  }
+
+  function generateSelector(element) {
+    const anchor = getAnchorSelector(element);
+    if (anchor) return anchor;
+
+    // Structural fallback: walk up until an ancestor can anchor the path
+    const segments = [];
+    let current = element;
+    while (current && current !== document.documentElement) {
+      const ancestorAnchor = current !== element ? getAnchorSelector(current) : null;
+      if (ancestorAnchor) {
+        segments.unshift(ancestorAnchor);
+        break;
+      }
+
+      const tag = current.tagName.toLowerCase();
+      const parent = current.parentElement;
+      const siblings = parent ? Array.from(parent.children).filter(c => c.tagName === current.tagName) : [];
+      segments.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(current) + 1})` : tag);
+
+      const selector = segments.join(' > ');
+      if (isUniqueSelector(selector)) return selector;
+      current = parent;
+    }
+
+    return segments.join(' > ');
+  }
+
+  // Macro recorder: capture the user's own input with timestamps and target selectors
+  const RECORDED_EVENTS = ['keydown', 'click', 'auxclick', 'dblclick', 'contextmenu', 'input'];
+  const MODIFIER_KEYS = ['Control', 'Alt', 'Shift', 'Meta', 'CapsLock', 'AltGraph'];
+
+  const recorderStyles = `
+    #akp-recorder-bar {
+      position: fixed;
+      bottom: 16px;
+      left: 50%;
+      transform: translateX(-50%);
+      z-index: 2147483647;
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      padding: 8px 10px 8px 14px;
+      background: #0F172A;
+      color: #F1F5F9;
+      border: 1px solid rgba(239, 68, 68, 0.4);
+      border-radius: 999px;
+      font: 600 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      box-shadow: 0 8px 24px rgba(0,0,0,0.35);
+    }
+    #akp-recorder-bar .akp-rec-dot {
+      width: 10px;
+      height: 10px;
+      border-radius: 50%;
+      background: #EF4444;
+      animation: akp-rec-pulse 1.2s ease-in-out infinite;
+    }
+    #akp-recorder-bar .akp-rec-stop {
+      padding: 4px 12px;
+      border: none;
+      border-radius: 999px;
+      background: #EF4444;
+      color: #fff;
+      font: inherit;
+      cursor: pointer;
+    }
+    @keyframes akp-rec-pulse {
+      50% { opacity: 0.35; }
+    }
+  `;
+
+  function startRecorder() {
+    if (recorderState || !document.body) return;
+
+    const style = document.createElement('style');
+    style.id = 'akp-recorder-styles';
+    style.textContent = recorderStyles;
+    document.head.appendChild(style);
+
+    const bar = document.createElement('div');
+    bar.id = 'akp-recorder-bar';
+    bar.innerHTML = `
+      <span class="akp-rec-dot"></span>
+      <span class="akp-rec-count">Recording · 0 events</span>
+      <button type="button" class="akp-rec-stop">Stop</button>
+    `;
+    bar.querySelector('.akp-rec-stop').addEventListener('click', finishRecording);
+    document.body.appendChild(bar);
+
+    recorderState = { bar, count: bar.querySelector('.akp-rec-count'), style, events: [] };
+
+    // Capture phase but passive: the page still receives every event
+    RECORDED_EVENTS.forEach(type => document.addEventListener(type, onRecordedEvent, true));
+  }
+
+  function stopRecorder() {
+    if (!recorderState) return [];
+    RECORDED_EVENTS.forEach(type => document.removeEventListener(type, onRecordedEvent, true));
+    recorderState.bar.remove();
+    recorderState.style.remove();
+    const { events } = recorderState;
+    recorderState = null;
+    return events;
+  }
+
+  function finishRecording() {
+    const events = stopRecorder();
+    chrome.runtime.sendMessage({ type: 'RECORDING_RESULT', events });
+  }
+
+  function isEditable(element) {
+    if (element.isContentEditable) return true;
+    if (element.tagName === 'TEXTAREA') return true;
+    return element.tagName === 'INPUT' &&
+      !['button', 'submit', 'reset', 'checkbox', 'radio', 'file', 'image', 'range', 'color'].includes(element.type);
+  }
+
+  function onRecordedEvent(e) {
+    const element = e.target;
+    if (!e.isTrusted || !(element instanceof Element) || element.closest(GHOST_UI_SELECTOR)) return;
+
+    // Keys on the page itself replay against whatever has focus
+    const selector = element === document.body || element === document.documentElement
+      ? null
+      : generateSelector(element);
+    const entry = { time: Date.now(), selector };
+
+    switch (e.type) {
+      case 'keydown': {
+        if (MODIFIER_KEYS.includes(e.key) || e.repeat) return;
+        const hasCommandModifier = e.ctrlKey || e.altKey || e.metaKey;
+        // Plain typing and deletes inside a field arrive through the input event instead
+        const isTyping = e.key.length === 1 || e.key === 'Backspace' || e.key === 'Delete';
+        if (isTyping && !hasCommandModifier && isEditable(element)) return;
+        Object.assign(entry, {
+          kind: 'key',
+          key: e.key,
+          code: e.code,
+          modifiers: { ctrl: e.ctrlKey, alt: e.altKey, shift: e.shiftKey, meta: e.metaKey }
+        });
+        break;
+      }
+      case 'input':
+        if (!isEditable(element)) return;
+        Object.assign(entry, { kind: 'input', inputType: e.inputType || 'insertText', data: e.data ?? null });
+        break;
+      case 'auxclick':
+        if (e.button !== 1) return;
+        Object.assign(entry, { kind: 'click', button: 1 });
+        break;
+      case 'contextmenu':
+        Object.assign(entry, { kind: 'click', button: 2 });
+        break;
+      default:
+        Object.assign(entry, { kind: e.type === 'dblclick' ? 'dblclick' : 'click', button: 0 });
+    }
+
+    recorderState.events.push(entry);
+    const total = recorderState.events.length;
+    recorderState.count.textContent = `Recording · ${total} event${total === 1 ? '' : 's'}`;
+  }
+
+  // Event triggers: watch the page and report when an element or text shows up.
+  // The background pushes this tab's triggers once the page has loaded and whenever they change.
+  // A check rescans the whole page, so it waits for mutations to settle, but never longer than the max wait.
+  const TRIGGER_CHECK_DELAY = 150;
+  const TRIGGER_CHECK_MAX_WAIT = 1000;
+
+  function registerTrigger(triggerId, trigger) {
+    const existing = triggers.get(triggerId);
+    if (existing && JSON.stringify(existing.trigger) === JSON.stringify(trigger)) return;
+
+    // Whatever is already on the page is the baseline; only a later appearance fires
+    triggers.set(triggerId, { trigger, matched: matchesTrigger(trigger) });
+    if (!triggerObserver) {
+      triggerObserver = new MutationObserver(onTriggerMutations);
+      triggerObserver.observe(document.documentElement, {
+        childList: true, subtree: true, characterData: true, attributes: true
+      });
+    }
+  }
+
+  function unregisterTrigger(triggerId) {
+    triggers.delete(triggerId);
+    if (triggers.size === 0 && triggerObserver) {
+      triggerObserver.disconnect();
+      triggerObserver = null;
+      clearTimeout(triggerCheck?.timer);
+      triggerCheck = null;
+    }
+  }
+
+  function onTriggerMutations(mutations) {
+    // The overlay re-renders constantly; changes inside GhostInput's own UI never count
+    const fromPage = mutations.some(mutation => {
+      const node = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+      return !node || !node.closest(GHOST_UI_SELECTOR);
+    });
+    if (!fromPage) return;
+
+    const now = Date.now();
+    const dueBy = triggerCheck?.dueBy ?? now + TRIGGER_CHECK_MAX_WAIT;
+    clearTimeout(triggerCheck?.timer);
+    triggerCheck = { dueBy, timer: setTimeout(checkTriggers, Math.min(TRIGGER_CHECK_DELAY, dueBy - now)) };
+  }
+
+  function checkTriggers() {
+    triggerCheck = null;
+    for (const [triggerId, state] of triggers) {
+      const matched = matchesTrigger(state.trigger);
+      if (matched && !state.matched) {
+        chrome.runtime.sendMessage({ type: 'TRIGGER_FIRED', triggerId }).catch(() => { });
+      }
+      state.matched = matched;
+    }
+  }
+
+  function matchesTrigger(trigger) {
+    try {
+      if (trigger.type === 'elementAppears') return Boolean(findTriggerElement(trigger));
+      if (trigger.type === 'textMatches') return new RegExp(trigger.pattern, 'i').test(getPageText());
+    } catch (e) {
+      // Invalid locator or pattern: never fires
+    }
+    return false;
+  }
+
+  function findTriggerElement(locator) {
+    if (locator.strategy === 'xpath') {
+      return document.evaluate(locator.value, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+    }
+    if (locator.strategy === 'text') {
+      const needle = locator.value.trim().toLowerCase();
+      return getPageTextNodes().find(node => node.data.replace(/\s+/g, ' ').toLowerCase().includes(needle)) || null;
+    }
+    const element = document.querySelector(locator.value);
+    return element && !element.closest(GHOST_UI_SELECTOR) ? element : null;
+  }
+
+  // Text nodes of the page itself, skipping scripts, styles and GhostInput's UI
+  function getPageTextNodes() {
+    if (!document.body) return [];
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => node.parentElement?.closest(`script, style, noscript, ${GHOST_UI_SELECTOR}`)
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT
+    });
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    return nodes;
+  }
+
+  function getPageText() {
+    return getPageTextNodes().map(node => node.data).join(' ').replace(/\s+/g, ' ');
+  }
+
+  // Emergency stop: real (isTrusted) keyboard, mouse or touch input pauses every action on this tab.
+  // Armed only while the setting is on and this tab has a running instance, so idle tabs never wake the worker.
+  const USER_INPUT_EVENTS = ['keydown', 'mousedown', 'wheel', 'touchstart'];
+
+  function setupInputGuard() {
+    USER_INPUT_EVENTS.forEach(type => window.addEventListener(type, onUserInput, { capture: true, passive: true }));
+    chrome.storage.local.get('settings', (result) => setInputGuardEnabled(result.settings?.pauseOnUserInput === true));
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !changes.settings) return;
+      setInputGuardEnabled(changes.settings.newValue?.pauseOnUserInput === true);
+    });
+  }
+
+  // Run state is written on every run of every action, so only watch it while the setting is on
+  function setInputGuardEnabled(enabled) {
+    if (enabled === inputGuard.enabled) return;
+    inputGuard.enabled = enabled;
+    if (enabled) {
+      chrome.storage.onChanged.addListener(onInstancesChanged);
+      chrome.storage.local.get('actionInstances', (result) => updateInputGuard(result.actionInstances));
+    } else {
+      chrome.storage.onChanged.removeListener(onInstancesChanged);
+      inputGuard.armed = false;
+    }
+  }
+
+  function onInstancesChanged(changes, area) {
+    if (area === 'local' && changes.actionInstances) updateInputGuard(changes.actionInstances.newValue);
+  }
+
+  // storedInstances is the background's { [actionId]: { [tabId]: instance } } run state
+  async function updateInputGuard(storedInstances) {
+    if (!currentTabId) {
+      try {
+        const tabInfo = await chrome.runtime.sendMessage({ type: 'GET_MY_TAB_ID' });
+        currentTabId = tabInfo?.tabId;
+      } catch (e) {
+        return;
+      }
+    }
+    if (!inputGuard.enabled) return;
+    inputGuard.armed = Object.values(storedInstances || {}).some(instances => {
+      const instance = instances[currentTabId];
+      return instance?.enabled && !instance.paused;
+    });
+  }
+
+  async function onUserInput(event) {
+    if (!event.isTrusted || !inputGuard.armed || inputGuard.pausing) return;
+    // Using GhostInput itself (overlay, picker, recorder) is not a reason to stop
+    if (pickerState || recorderState || event.target?.closest?.(GHOST_UI_SELECTOR)) return;
+
+    inputGuard.pausing = true;
+    inputGuard.armed = false;
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'PAUSE_TAB', reason: 'userInput' });
+      if (response?.paused > 0) showOverlay();
+    } catch (e) {
+      console.log('[AKP] Could not pause actions:', e);
+    } finally {
+      inputGuard.pausing = false;
+    }
+  }
+
+  const ROW_CONTROL_MESSAGES = {
+    runNow: { type: 'RUN_NOW' },
+    skip: { type: 'SKIP_NEXT_RUN' },
+    pause: { type: 'SET_INSTANCE_PAUSED', paused: true },
+    resume: { type: 'SET_INSTANCE_PAUSED', paused: false },
+    stop: { type: 'STOP_ACTION_ON_TAB' }
+  };
+
+  // Controls act on this tab's instance; the background fills in the tab from the sender
+  async function sendRowControl(control, actionId) {
+    const message = ROW_CONTROL_MESSAGES[control];
+    if (!message || !actionId) return;
+    try {
+      const response = await chrome.runtime.sendMessage({ ...message, actionId });
+      if (response?.error) console.log(`[AKP] ${response.error}`);
+    } catch (e) {
+      console.log('[AKP] Could not update action:', e);
+    }
+  }
+
+  async function resumeTab() {
+    try {
+      await chrome.runtime.sendMessage({ type: 'RESUME_TAB' });
+    } catch (e) {
+      console.log('[AKP] Could not resume actions:', e);
+    }
   }
 
   // Listen for messages from popup/background
@@ -445,6 +1254,29 @@
           hideOverlay();
           sendResponse({ success: true });
           break;
+        case 'START_PICKER':
+          startPicker();
+          sendResponse({ success: true });
+          break;
+        case 'STOP_PICKER':
+          stopPicker();
+          sendResponse({ success: true });
+          break;
+        case 'START_RECORDING':
+          startRecorder();
+          sendResponse({ success: true });
+          break;
+        case 'STOP_RECORDING':
+          sendResponse({ success: true, events: stopRecorder() });
+          break;
+        case 'REGISTER_TRIGGER':
+          registerTrigger(message.triggerId, message.trigger);
+          sendResponse({ success: true });
+          break;
+        case 'UNREGISTER_TRIGGER':
+          unregisterTrigger(message.triggerId);
+          sendResponse({ success: true });
+          break;
         case 'TOGGLE_OVERLAY':
           if (isVisible && overlayContainer && !overlayContainer.classList.contains('akp-hidden')) {
             hideOverlay();
@@ -481,6 +1313,7 @@
     } catch (e) {
       console.log('[AKP] Init error:', e);
     }
+    setupInputGuard();
   }
 
   if (document.readyState === 'loading') {
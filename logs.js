@@ -0,0 +1,60 @@
+// Activity log helpers shared by the popup's Logs tab and its exports
+// Entries are { actionId, actionName, type, key, outcome, success, error, tabId, url, durationMs, driftMs, timestamp }.
+
+export const LOG_OUTCOMES = {
+    success: { label: 'Success' },
+    skipped: { label: 'Skipped' },
+    error: { label: 'Error' },
+    info: { label: 'Info' }
+};
+
+// Time windows for the Logs tab, in milliseconds (null = everything kept)
+export const LOG_TIME_RANGES = {
+    hour: { label: 'Last hour', ms: 3600000 },
+    day: { label: 'Last 24 hours', ms: 86400000 },
+    week: { label: 'Last 7 days', ms: 604800000 },
+    all: { label: 'All time', ms: null }
+};
+
+// Entries written before outcomes existed only carry a success flag
+export function getLogOutcome(entry) {
+    if (entry.outcome && LOG_OUTCOMES[entry.outcome]) return entry.outcome;
+    return entry.success ? 'success' : 'error';
+}
+
+// Filters are { actionId, tabId, outcome, range }; an empty value matches everything
+export function filterLogs(logs, { actionId = '', tabId = '', outcome = '', range = 'all' } = {}, now = Date.now()) {
+    const windowMs = LOG_TIME_RANGES[range]?.ms;
+    return logs.filter(entry =>
+        (!actionId || entry.actionId === actionId) &&
+        (!tabId || String(entry.tabId) === String(tabId)) &&
+        (!outcome || getLogOutcome(entry) === outcome) &&
+        (!windowMs || now - entry.timestamp <= windowMs)
+    );
+}
+
+const CSV_COLUMNS = ['time', 'action', 'actionId', 'type', 'outcome', 'message', 'tabId', 'url', 'durationMs', 'driftMs'];
+
+export function formatLogsCsv(logs) {
+    const rows = logs.map(entry => [
+        new Date(entry.timestamp).toISOString(),
+        entry.actionName,
+        entry.actionId,
+        entry.type,
+        getLogOutcome(entry),
+        entry.error,
+        entry.tabId,
+        entry.url,
+        entry.durationMs,
+        entry.driftMs
+    ]);
+    return [CSV_COLUMNS, ...rows].map(row => row.map(formatCsvCell).join(',')).join('\r\n');
+}
+
+// Quote when needed, and keep spreadsheets from reading page text as a formula
+function formatCsvCell(value) {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,73 @@
+// Storage schema migrations. Stored data carries a schemaVersion; each migration upgrades a snapshot
+// { actions, profiles, settings, instances } from the version before it. They run in order on
+// extension update and on import, so old backups load the same way old installs do.
+
+import { normalizeUrlFilter } from './urlfilter.js';
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        // Percent randomization was replaced by a min/max range; without a range the interval
+        // was never randomized, so make that explicit
+        migrate: data => mapActions(data, action => {
+            if (Number.isFinite(action.randomizeMin) && Number.isFinite(action.randomizeMax)) return action;
+            return { ...action, randomize: false, randomizeMin: 0, randomizeMax: 0 };
+        })
+    },
+    {
+        version: 2,
+        // Comma-separated URL filters become { mode: 'glob', include, exclude }
+        migrate: data => mapActions(data, action => (
+            typeof action.urlFilter === 'string' ? { ...action, urlFilter: normalizeUrlFilter(action.urlFilter) } : action
+        ))
+    },
+    {
+        version: 3,
+        // The activity log default went from 100 to 1,000 entries, back when it couldn't be changed
+        migrate: data => (data.settings?.maxLogs === 100 ? { ...data, settings: { ...data.settings, maxLogs: 1000 } } : data)
+    },
+    {
+        version: 4,
+        // Per-tab run state moved out of each action into its own key. Profiles keep definitions only.
+        migrate: data => {
+            const instances = { ...data.instances };
+            for (const action of data.actions) {
+                if (action.instances && Object.keys(action.instances).length > 0) {
+                    instances[action.id] = { ...action.instances, ...instances[action.id] };
+                }
+            }
+            return { ...mapActions(data, stripInstances), instances };
+        }
+    }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Upgrade a snapshot written at fromVersion (0 when it has none) to SCHEMA_VERSION
+export function migrateData(data, fromVersion = 0) {
+    if (fromVersion > SCHEMA_VERSION) {
+        throw new Error(`Data is from a newer version of GhostInput (schema ${fromVersion})`);
+    }
+    const snapshot = {
+        actions: data.actions || [],
+        profiles: data.profiles || [],
+        settings: data.settings || null,
+        instances: data.instances || {}
+    };
+    return MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .reduce((current, migration) => migration.migrate(current), snapshot);
+}
+
+// Apply fn to every action, including those saved in profiles
+function mapActions(data, fn) {
+    return {
+        ...data,
+        actions: data.actions.map(fn),
+        profiles: data.profiles.map(profile => ({ ...profile, actions: (profile.actions || []).map(fn) }))
+    };
+}
+
+function stripInstances({ instances, ...definition }) {
+    return definition;
+}
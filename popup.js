@@ -1,13 +1,23 @@
 // Popup JavaScript - UI Logic and Storage Management
 
 import {
-    getActions, addAction, updateAction, deleteAction,
+    getActions, getActionDefinitions, addAction, updateAction, deleteAction,
     getProfiles, saveProfile, deleteProfile, loadProfile,
     getSettings, saveSettings,
-    exportData, importData
+    getPickerState, clearPickerState, getRecorderState, clearRecorderState,
+    getLogs, clearLogs, getStats, clearStats, exportData, importData
 } from './storage.js';
 
-import { generateId, getKeyInfo } from './constants.js';
+import {
+    generateId, getKeyInfo, ALL_KEYS, MOUSE_ACTIONS, TARGET_STRATEGIES, CLICK_POSITIONS,
+    MACRO_STEP_TYPES, MAX_MACRO_STEPS, TRIGGER_TYPES, WAIT_CONDITIONS, WAIT_TIMEOUT_OUTCOMES, DEFAULT_WAIT_TIMEOUT, MAX_WAIT_TIMEOUT,
+    URL_FILTER_MODES, FRAME_MODES
+} from './constants.js';
+
+import { parseSchedule, getNextOccurrence, formatOccurrence } from './schedule.js';
+import { compileUrlFilter, normalizeUrlFilter, parseFilterEntries, formatFilterEntries, getUrlFilterError } from './urlfilter.js';
+import { LOG_OUTCOMES, getLogOutcome, filterLogs, formatLogsCsv } from './logs.js';
+import { mergeTabStats, summarizeStats, getHourlySeries } from './stats.js';
 
 // DOM Elements
 const elements = {
@@ -24,7 +34,31 @@ const elements = {
     keySelect: document.getElementById('keySelect'),
     mouseSelectGroup: document.getElementById('mouseSelectGroup'),
     mouseSelect: document.getElementById('mouseSelect'),
+    clickPositionGroup: document.getElementById('clickPositionGroup'),
+    clickPositionMode: document.getElementById('clickPositionMode'),
+    clickX: document.getElementById('clickX'),
+    clickY: document.getElementById('clickY'),
     modifierBtns: document.querySelectorAll('.modifier-btn'),
+    textGroup: document.getElementById('textGroup'),
+    textInput: document.getElementById('textInput'),
+    charDelay: document.getElementById('charDelay'),
+    macroGroup: document.getElementById('macroGroup'),
+    macroSteps: document.getElementById('macroSteps'),
+    targetGroup: document.getElementById('targetGroup'),
+    targetStrategy: document.getElementById('targetStrategy'),
+    targetValue: document.getElementById('targetValue'),
+    pickTargetBtn: document.getElementById('pickTargetBtn'),
+    timingMode: document.getElementById('timingMode'),
+    scheduleGroup: document.getElementById('scheduleGroup'),
+    triggerGroup: document.getElementById('triggerGroup'),
+    triggerType: document.getElementById('triggerType'),
+    triggerLocatorGroup: document.getElementById('triggerLocatorGroup'),
+    triggerStrategy: document.getElementById('triggerStrategy'),
+    triggerValue: document.getElementById('triggerValue'),
+    triggerPattern: document.getElementById('triggerPattern'),
+    scheduleExpression: document.getElementById('scheduleExpression'),
+    schedulePreview: document.getElementById('schedulePreview'),
+    intervalGroup: document.getElementById('intervalGroup'),
     interval: document.getElementById('interval'),
     timeUnit: document.getElementById('timeUnit'),
 
@@ -35,12 +69,27 @@ const elements = {
     randomizeSettings: document.getElementById('randomizeSettings'),
     randomizeMin: document.getElementById('randomizeMin'),
     randomizeMax: document.getElementById('randomizeMax'),
+    intervalMode: document.getElementById('intervalMode'),
+    waitStrategy: document.getElementById('waitStrategy'),
+    waitValue: document.getElementById('waitValue'),
+    waitCondition: document.getElementById('waitCondition'),
+    waitText: document.getElementById('waitText'),
+    waitTimeout: document.getElementById('waitTimeout'),
+    waitOnTimeout: document.getElementById('waitOnTimeout'),
+    frameMode: document.getElementById('frameMode'),
+    frameUrl: document.getElementById('frameUrl'),
+    urlFilterMode: document.getElementById('urlFilterMode'),
     urlFilter: document.getElementById('urlFilter'),
+    urlExclude: document.getElementById('urlExclude'),
+    urlFilterPreview: document.getElementById('urlFilterPreview'),
+    autoAttach: document.getElementById('autoAttach'),
     repeatLimit: document.getElementById('repeatLimit'),
     timeLimit: document.getElementById('timeLimit'),
 
     // Lists
     currentTabLabel: document.getElementById('currentTabLabel'),
+    recordingBanner: document.getElementById('recordingBanner'),
+    stopRecordingBtn: document.getElementById('stopRecordingBtn'),
     startAllBtn: document.getElementById('startAllBtn'),
     stopAllBtn: document.getElementById('stopAllBtn'),
     actionSearch: document.getElementById('actionSearch'),
@@ -66,22 +115,81 @@ const elements = {
     editKeySelect: document.getElementById('editKeySelect'),
     editMouseSelectGroup: document.getElementById('editMouseSelectGroup'),
     editMouseSelect: document.getElementById('editMouseSelect'),
+    editClickPositionGroup: document.getElementById('editClickPositionGroup'),
+    editClickPositionMode: document.getElementById('editClickPositionMode'),
+    editClickX: document.getElementById('editClickX'),
+    editClickY: document.getElementById('editClickY'),
     editModifierBtns: document.querySelectorAll('.edit-modifier-btn'),
+    editTextGroup: document.getElementById('editTextGroup'),
+    editTextInput: document.getElementById('editTextInput'),
+    editCharDelay: document.getElementById('editCharDelay'),
+    editMacroGroup: document.getElementById('editMacroGroup'),
+    editMacroSteps: document.getElementById('editMacroSteps'),
+    editTargetGroup: document.getElementById('editTargetGroup'),
+    editTargetStrategy: document.getElementById('editTargetStrategy'),
+    editTargetValue: document.getElementById('editTargetValue'),
+    editPickTargetBtn: document.getElementById('editPickTargetBtn'),
+    editTimingMode: document.getElementById('editTimingMode'),
+    editScheduleGroup: document.getElementById('editScheduleGroup'),
+    editTriggerGroup: document.getElementById('editTriggerGroup'),
+    editTriggerType: document.getElementById('editTriggerType'),
+    editTriggerLocatorGroup: document.getElementById('editTriggerLocatorGroup'),
+    editTriggerStrategy: document.getElementById('editTriggerStrategy'),
+    editTriggerValue: document.getElementById('editTriggerValue'),
+    editTriggerPattern: document.getElementById('editTriggerPattern'),
+    editScheduleExpression: document.getElementById('editScheduleExpression'),
+    editSchedulePreview: document.getElementById('editSchedulePreview'),
+    editIntervalGroup: document.getElementById('editIntervalGroup'),
     editInterval: document.getElementById('editInterval'),
     editTimeUnit: document.getElementById('editTimeUnit'),
     editRandomize: document.getElementById('editRandomize'),
     editRandomizeSettings: document.getElementById('editRandomizeSettings'),
     editRandomizeMin: document.getElementById('editRandomizeMin'),
     editRandomizeMax: document.getElementById('editRandomizeMax'),
+    editIntervalMode: document.getElementById('editIntervalMode'),
+    editWaitStrategy: document.getElementById('editWaitStrategy'),
+    editWaitValue: document.getElementById('editWaitValue'),
+    editWaitCondition: document.getElementById('editWaitCondition'),
+    editWaitText: document.getElementById('editWaitText'),
+    editWaitTimeout: document.getElementById('editWaitTimeout'),
+    editWaitOnTimeout: document.getElementById('editWaitOnTimeout'),
+    editFrameMode: document.getElementById('editFrameMode'),
+    editFrameUrl: document.getElementById('editFrameUrl'),
+    editUrlFilterMode: document.getElementById('editUrlFilterMode'),
     editUrlFilter: document.getElementById('editUrlFilter'),
+    editUrlExclude: document.getElementById('editUrlExclude'),
+    editUrlFilterPreview: document.getElementById('editUrlFilterPreview'),
+    editAutoAttach: document.getElementById('editAutoAttach'),
     editRepeatLimit: document.getElementById('editRepeatLimit'),
     editTimeLimit: document.getElementById('editTimeLimit'),
     cancelEditBtn: document.getElementById('cancelEditBtn'),
     confirmEditBtn: document.getElementById('confirmEditBtn'),
 
+    // Logs
+    logsTab: document.getElementById('logs-tab'),
+    logActionFilter: document.getElementById('logActionFilter'),
+    logTabFilter: document.getElementById('logTabFilter'),
+    logOutcomeFilter: document.getElementById('logOutcomeFilter'),
+    logRangeFilter: document.getElementById('logRangeFilter'),
+    logsSummary: document.getElementById('logsSummary'),
+    logsList: document.getElementById('logsList'),
+    exportLogsCsvBtn: document.getElementById('exportLogsCsvBtn'),
+    exportLogsJsonBtn: document.getElementById('exportLogsJsonBtn'),
+    clearLogsBtn: document.getElementById('clearLogsBtn'),
+
+    // Stats
+    statsTab: document.getElementById('stats-tab'),
+    statsSummary: document.getElementById('statsSummary'),
+    statsList: document.getElementById('statsList'),
+    clearStatsBtn: document.getElementById('clearStatsBtn'),
+
     // Settings
     notificationsSetting: document.getElementById('notificationsSetting'),
+    pauseOnUserInputSetting: document.getElementById('pauseOnUserInputSetting'),
     showOverlaySetting: document.getElementById('showOverlaySetting'),
+    missedRunPolicySetting: document.getElementById('missedRunPolicySetting'),
+    overlayLayoutScopeSetting: document.getElementById('overlayLayoutScopeSetting'),
+    maxLogsSetting: document.getElementById('maxLogsSetting'),
     themeToggle: document.getElementById('themeToggle'),
     exportBtn: document.getElementById('exportBtn'),
     importBtn: document.getElementById('importBtn'),
@@ -91,12 +199,21 @@ const elements = {
     toastContainer: document.getElementById('toastContainer')
 };
 
+const SCHEDULE_HINT = 'Cron (minute hour day month weekday) or "weekdays at 9:00, 17:30".';
+const URL_FILTER_HINT = 'One pattern per line. Leave empty to run on any page.';
+
+// Rendering thousands of rows makes the popup sluggish; exports always include every match
+const MAX_RENDERED_LOGS = 200;
+
 // State
 let selectedModifiers = [];
 let editModifiers = [];
+let macroSteps = [];
+let editMacroSteps = [];
 let currentTabId = null;
 let currentTabTitle = null;
 let actionSearchTerm = '';
+let logEntries = [];
 
 // Initialize
 document.addEventListener('DOMContentLoaded', init);
@@ -117,6 +234,8 @@ async function init() {
     await updateGlobalToggleState();
 
     setupEventListeners();
+    await restorePickedTarget();
+    await restoreRecording();
 }
 
 function setupEventListeners() {
@@ -139,6 +258,51 @@ function setupEventListeners() {
         btn.addEventListener('click', () => toggleModifier(btn, editModifiers))
     );
 
+    elements.targetStrategy.addEventListener('change', () =>
+        updateTargetPlaceholder(elements.targetStrategy, elements.targetValue)
+    );
+    elements.editTargetStrategy.addEventListener('change', () =>
+        updateTargetPlaceholder(elements.editTargetStrategy, elements.editTargetValue)
+    );
+    elements.pickTargetBtn.addEventListener('click', () => handlePickTarget(false));
+    setupMacroEditor(false);
+    setupMacroEditor(true);
+    elements.clickPositionMode.addEventListener('change', () => toggleClickCoordInputs(false));
+    elements.editClickPositionMode.addEventListener('change', () => toggleClickCoordInputs(true));
+    elements.timingMode.addEventListener('change', () => toggleTimingInputs(false));
+    elements.editTimingMode.addEventListener('change', () => toggleTimingInputs(true));
+    elements.scheduleExpression.addEventListener('input', () => updateSchedulePreview(false));
+    elements.editScheduleExpression.addEventListener('input', () => updateSchedulePreview(true));
+    elements.frameMode.addEventListener('change', () => toggleFrameInputs(false));
+    elements.editFrameMode.addEventListener('change', () => toggleFrameInputs(true));
+    [false, true].forEach(isEdit => {
+        const fields = getUrlFilterFields(isEdit);
+        fields.mode.addEventListener('change', () => {
+            fields.include.placeholder = URL_FILTER_MODES[fields.mode.value].placeholder;
+            updateUrlFilterPreview(isEdit);
+        });
+        fields.include.addEventListener('input', () => updateUrlFilterPreview(isEdit));
+        fields.exclude.addEventListener('input', () => updateUrlFilterPreview(isEdit));
+    });
+    elements.editPickTargetBtn.addEventListener('click', () => handlePickTarget(true));
+    elements.waitStrategy.addEventListener('change', () =>
+        updateTargetPlaceholder(elements.waitStrategy, elements.waitValue)
+    );
+    elements.editWaitStrategy.addEventListener('change', () =>
+        updateTargetPlaceholder(elements.editWaitStrategy, elements.editWaitValue)
+    );
+    elements.triggerType.addEventListener('change', () => toggleTriggerInputs(false));
+    elements.editTriggerType.addEventListener('change', () => toggleTriggerInputs(true));
+    elements.triggerStrategy.addEventListener('change', () =>
+        updateTargetPlaceholder(elements.triggerStrategy, elements.triggerValue)
+    );
+    elements.editTriggerStrategy.addEventListener('change', () =>
+        updateTargetPlaceholder(elements.editTriggerStrategy, elements.editTriggerValue)
+    );
+    elements.waitCondition.addEventListener('change', () => toggleWaitInputs(false));
+    elements.editWaitCondition.addEventListener('change', () => toggleWaitInputs(true));
+    elements.stopRecordingBtn.addEventListener('click', handleStopRecording);
+
     // Advanced Toggles
     elements.advancedToggle.addEventListener('click', () => {
         const expanded = elements.advancedToggle.getAttribute('aria-expanded') === 'true';
@@ -182,9 +346,30 @@ function setupEventListeners() {
     elements.cancelEditBtn.addEventListener('click', () => hideModal(elements.editActionModal));
     elements.confirmEditBtn.addEventListener('click', handleEditAction);
 
+    // Logs
+    [elements.logActionFilter, elements.logTabFilter, elements.logOutcomeFilter, elements.logRangeFilter].forEach(select =>
+        select.addEventListener('change', renderLogs)
+    );
+    elements.exportLogsCsvBtn.addEventListener('click', () => handleExportLogs('csv'));
+    elements.exportLogsJsonBtn.addEventListener('click', () => handleExportLogs('json'));
+    elements.clearLogsBtn.addEventListener('click', handleClearLogs);
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes.actionLogs && elements.logsTab.classList.contains('active')) loadLogsList();
+    });
+
+    // Stats
+    elements.clearStatsBtn.addEventListener('click', handleClearStats);
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes.actionStats && elements.statsTab.classList.contains('active')) loadStatsList();
+    });
+
     // Settings
     elements.notificationsSetting.addEventListener('change', handleNotificationsChange);
+    elements.pauseOnUserInputSetting.addEventListener('change', handlePauseOnUserInputChange);
     elements.showOverlaySetting.addEventListener('change', handleOverlayChange);
+    elements.missedRunPolicySetting.addEventListener('change', handleMissedRunPolicyChange);
+    elements.overlayLayoutScopeSetting.addEventListener('change', handleOverlayLayoutScopeChange);
+    elements.maxLogsSetting.addEventListener('change', handleMaxLogsChange);
     elements.themeToggle?.addEventListener('click', handleThemeToggle);
     elements.exportBtn.addEventListener('click', handleExport);
     elements.importBtn.addEventListener('click', () => elements.importFile.click());
@@ -216,6 +401,8 @@ function switchTab(tabName) {
 
     if (tabName === 'profiles') loadProfilesList();
     if (tabName === 'actions') loadActionsList();
+    if (tabName === 'logs') loadLogsList();
+    if (tabName === 'stats') loadStatsList();
 }
 
 async function handleGlobalToggle() {
@@ -235,14 +422,64 @@ function toggleActionTypeInputs(isEdit) {
     const keyGroup = isEdit ? elements.editKeySelectGroup : elements.keySelectGroup;
     const mouseGroup = isEdit ? elements.editMouseSelectGroup : elements.mouseSelectGroup;
     const modGroup = isEdit ? document.querySelector('.edit-modifiers-group') : document.querySelector('.modifiers-group');
+    const positionGroup = isEdit ? elements.editClickPositionGroup : elements.clickPositionGroup;
+    const targetGroup = isEdit ? elements.editTargetGroup : elements.targetGroup;
+    const macroGroup = isEdit ? elements.editMacroGroup : elements.macroGroup;
+    const textGroup = isEdit ? elements.editTextGroup : elements.textGroup;
 
     const isKey = typeSelect.value === 'key';
+    const isMouse = typeSelect.value === 'mouse';
+    const isText = typeSelect.value === 'text';
+    const isMacro = typeSelect.value === 'macro';
 
     keyGroup.classList.toggle('hidden', !isKey);
-    mouseGroup.classList.toggle('hidden', isKey);
+    mouseGroup.classList.toggle('hidden', !isMouse);
+    positionGroup.classList.toggle('hidden', !isMouse);
+    targetGroup.classList.toggle('hidden', isMacro);
+    macroGroup.classList.toggle('hidden', !isMacro);
+    textGroup.classList.toggle('hidden', !isText);
     if (modGroup) modGroup.classList.toggle('hidden', !isKey);
 }
 
+function toggleTimingInputs(isEdit) {
+    const mode = (isEdit ? elements.editTimingMode : elements.timingMode).value;
+    (isEdit ? elements.editScheduleGroup : elements.scheduleGroup).classList.toggle('hidden', mode !== 'schedule');
+    (isEdit ? elements.editTriggerGroup : elements.triggerGroup).classList.toggle('hidden', mode !== 'trigger');
+    (isEdit ? elements.editIntervalGroup : elements.intervalGroup).classList.toggle('hidden', mode !== 'interval');
+    (isEdit ? elements.editInterval : elements.interval).required = mode === 'interval';
+    if (mode === 'schedule') updateSchedulePreview(isEdit);
+    if (mode === 'trigger') toggleTriggerInputs(isEdit);
+}
+
+function toggleTriggerInputs(isEdit) {
+    const type = (isEdit ? elements.editTriggerType : elements.triggerType).value;
+    (isEdit ? elements.editTriggerLocatorGroup : elements.triggerLocatorGroup).classList.toggle('hidden', type !== 'elementAppears');
+    (isEdit ? elements.editTriggerPattern : elements.triggerPattern).classList.toggle('hidden', type !== 'textMatches');
+}
+
+function updateSchedulePreview(isEdit) {
+    const input = isEdit ? elements.editScheduleExpression : elements.scheduleExpression;
+    const preview = isEdit ? elements.editSchedulePreview : elements.schedulePreview;
+    const isEmpty = !input.value.trim();
+    const schedule = readSchedule(input);
+
+    preview.classList.toggle('invalid', !isEmpty && Boolean(schedule.error));
+    preview.textContent = isEmpty ? SCHEDULE_HINT
+        : schedule.error || `Next run: ${formatOccurrence(schedule.next)}`;
+}
+
+function toggleWaitInputs(isEdit) {
+    const fields = getWaitForFields(isEdit);
+    fields.text.classList.toggle('hidden', fields.condition.value !== 'containsText');
+}
+
+function toggleClickCoordInputs(isEdit) {
+    const modeSelect = isEdit ? elements.editClickPositionMode : elements.clickPositionMode;
+    const showCoords = modeSelect.value !== 'center';
+    (isEdit ? elements.editClickX : elements.clickX).classList.toggle('hidden', !showCoords);
+    (isEdit ? elements.editClickY : elements.clickY).classList.toggle('hidden', !showCoords);
+}
+
 function toggleModifier(btn, modifiersArray) {
     const modifier = btn.dataset.modifier;
     btn.classList.toggle('active');
@@ -260,8 +497,55 @@ async function handleAddAction(e) {
     e.preventDefault();
 
     const isKey = elements.actionType.value === 'key';
+    const isMouse = elements.actionType.value === 'mouse';
+    const isText = elements.actionType.value === 'text';
+    const isMacro = elements.actionType.value === 'macro';
     const key = isKey ? elements.keySelect.value : null;
     const keyInfo = key ? getKeyInfo(key) : null;
+    const clickPosition = isMouse ? readClickPosition(elements.clickPositionMode, elements.clickX, elements.clickY) : null;
+    if (clickPosition?.error) {
+        showToast(clickPosition.error, 'error');
+        return;
+    }
+    const text = isText ? elements.textInput.value : null;
+    if (isText && !text) {
+        showToast('Enter the text to type', 'error');
+        return;
+    }
+    const schedule = elements.timingMode.value === 'schedule' ? readSchedule(elements.scheduleExpression) : null;
+    if (schedule?.error) {
+        showToast(schedule.error, 'error');
+        return;
+    }
+    const trigger = elements.timingMode.value === 'trigger' ? readTrigger(false) : null;
+    if (trigger?.error) {
+        showToast(trigger.error, 'error');
+        return;
+    }
+    const macroError = isMacro ? validateMacroSteps(macroSteps) : null;
+    if (macroError) {
+        showToast(macroError, 'error');
+        return;
+    }
+    const waitFor = readWaitFor(getWaitForFields(false));
+    if (waitFor && getWaitForError(waitFor)) {
+        showToast(getWaitForError(waitFor), 'error');
+        return;
+    }
+    const frame = readFrame(false, isMacro ? macroSteps : null);
+    if (frame?.error) {
+        showToast(frame.error, 'error');
+        return;
+    }
+    const urlFilter = readUrlFilter(getUrlFilterFields(false));
+    if (urlFilter?.error) {
+        showToast(urlFilter.error, 'error');
+        return;
+    }
+    if (elements.autoAttach.checked && !urlFilter?.include.length) {
+        showToast('Enter a Target URL to run on every matching tab', 'error');
+        return;
+    }
     const randomRange = normalizeRandomRange(
         elements.randomize.checked,
         elements.randomizeMin.value,
@@ -273,7 +557,10 @@ async function handleAddAction(e) {
     // Determine Name
     let name = elements.actionName.value.trim();
     if (!name) {
-        name = isKey ? `Press ${key}` : elements.mouseSelect.options[elements.mouseSelect.selectedIndex].text;
+        name = isKey ? `Press ${key}`
+            : isMacro ? `Macro (${macroSteps.length} steps)`
+            : isText ? `Type "${truncateText(text, 24)}"`
+            : elements.mouseSelect.options[elements.mouseSelect.selectedIndex].text;
     }
 
     const action = {
@@ -282,8 +569,17 @@ async function handleAddAction(e) {
         type: elements.actionType.value,
         key: key,
         keyInfo: keyInfo,
-        mouseAction: isKey ? null : elements.mouseSelect.value,
+        mouseAction: isMouse ? elements.mouseSelect.value : null,
         modifiers: isKey ? [...selectedModifiers] : [],
+        target: isMacro ? null : readTarget(elements.targetStrategy, elements.targetValue),
+        waitFor,
+        frame,
+        clickPosition,
+        text,
+        charDelay: isText ? readCharDelay(elements.charDelay) : null,
+        steps: isMacro ? cloneMacroSteps(macroSteps) : null,
+        schedule: schedule?.expression || null,
+        trigger,
         interval: parseInt(elements.interval.value),
         timeUnit: elements.timeUnit.value,
 
@@ -291,25 +587,29 @@ async function handleAddAction(e) {
         randomize: elements.randomize.checked,
         randomizeMin: randomRange.min,
         randomizeMax: randomRange.max,
+        intervalMode: elements.intervalMode.value,
 
         // Limits & Filters
-        urlFilter: elements.urlFilter.value.trim() || null,
+        urlFilter,
+        autoAttach: elements.autoAttach.checked,
         repeatLimit: elements.repeatLimit.value ? parseInt(elements.repeatLimit.value) : null,
         timeLimit: elements.timeLimit.value ? parseInt(elements.timeLimit.value) : null,
 
-        // Multi-tab instances (start empty, will be populated by startAction)
-        instances: {},
         createdAt: Date.now()
     };
 
     await addAction(action);
 
-    // Start the action on current tab
-    await chrome.runtime.sendMessage({
-        type: 'START_ACTION',
-        actionId: action.id,
-        targetTabId: currentTabId
-    });
+    // URL-bound actions attach to every matching tab; others start on the current tab
+    if (action.autoAttach) {
+        await chrome.runtime.sendMessage({ type: 'ATTACH_ACTION', actionId: action.id });
+    } else {
+        await chrome.runtime.sendMessage({
+            type: 'START_ACTION',
+            actionId: action.id,
+            targetTabId: currentTabId
+        });
+    }
 
     await loadActionsList();
 
@@ -317,6 +617,17 @@ async function handleAddAction(e) {
     elements.addActionForm.reset();
     selectedModifiers = [];
     elements.modifierBtns.forEach(btn => btn.classList.remove('active'));
+    macroSteps = [];
+    renderMacroSteps(false);
+    updateTargetPlaceholder(elements.targetStrategy, elements.targetValue);
+    toggleActionTypeInputs(false);
+    toggleClickCoordInputs(false);
+    toggleTimingInputs(false);
+    updateTargetPlaceholder(elements.triggerStrategy, elements.triggerValue);
+    updateTargetPlaceholder(elements.waitStrategy, elements.waitValue);
+    toggleWaitInputs(false);
+    toggleFrameInputs(false);
+    applyUrlFilter(false, null);
     elements.advancedOptions.classList.add('hidden');
     elements.advancedToggle.setAttribute('aria-expanded', 'false');
     elements.randomizeSettings.classList.add('hidden');
@@ -332,7 +643,12 @@ async function loadActionsList() {
                 action.name,
                 action.key,
                 action.mouseAction,
-                action.urlFilter
+                action.text,
+                action.schedule,
+                action.trigger?.value,
+                action.trigger?.pattern,
+                action.target?.value,
+                ...(normalizeUrlFilter(action.urlFilter)?.include || [])
             ].filter(Boolean).join(' ').toLowerCase();
             return meta.includes(actionSearchTerm);
         })
@@ -368,7 +684,10 @@ async function loadActionsList() {
         const instanceEntries = Object.entries(instances);
         const activeCount = instanceEntries.filter(([, i]) => i.enabled).length;
         const isActiveOnCurrentTab = instances[currentTabId]?.enabled;
-        const statusLabel = isActiveOnCurrentTab
+        const isPausedOnCurrentTab = Boolean(instances[currentTabId]?.paused);
+        const statusLabel = isPausedOnCurrentTab
+            ? '<span class="status-pill paused">Paused here</span>'
+            : isActiveOnCurrentTab
             ? '<span class="status-pill active">Active here</span>'
             : '<span class="status-pill">Inactive here</span>';
 
@@ -384,8 +703,10 @@ async function loadActionsList() {
                 </button>
                 <div class="tab-dropdown-panel hidden" data-action="${action.id}">
                     ${instanceEntries.map(([tabId, inst]) => `
-                        <div class="tab-dropdown-item ${inst.enabled ? 'active' : ''}">
-                            <span class="tab-title" title="${escapeHtml(inst.tabTitle)}">${escapeHtml(inst.tabTitle?.substring(0, 25) || 'Tab')}</span>
+                        <div class="tab-dropdown-item ${inst.enabled && !inst.paused ? 'active' : ''} ${inst.paused ? 'paused' : ''}">
+                            <span class="tab-title" title="${escapeHtml(inst.tabTitle)}${inst.autoAttached ? ' (matched URL)' : ''}">${escapeHtml(inst.tabTitle?.substring(0, 25) || 'Tab')}</span>
+                            <span class="tab-count" title="Runs on this tab">${inst.executionCount || 0}×</span>
+                            <button class="tab-pause" data-action="${action.id}" data-tab="${tabId}" data-paused="${inst.paused ? 'true' : 'false'}" title="${inst.paused ? 'Resume on this tab' : 'Pause on this tab'}">${inst.paused ? '▶' : '⏸'}</button>
                             <button class="tab-remove" data-action="${action.id}" data-tab="${tabId}" title="Stop on this tab">×</button>
                         </div>
                     `).join('')}
@@ -401,15 +722,17 @@ async function loadActionsList() {
             <div class="action-details">
                 <div class="action-name">${escapeHtml(action.name)}</div>
                 <div class="action-meta">
-                   <span>Every ${action.interval} ${getUnitLabel(action.timeUnit)}</span>
+                   ${getTimingLabel(action, instances[currentTabId])}
                    ${statusLabel}
                    ${action.randomize ? `<span title="Randomized ±">🎲</span>` : ''}
+                   ${action.target ? `<span title="Target: ${escapeHtml(action.target.value)}">🎯</span>` : ''}
+                   ${action.clickPosition ? `<span title="${CLICK_POSITIONS[action.clickPosition.mode]?.label}: ${action.clickPosition.x}, ${action.clickPosition.y}">📍</span>` : ''}
                    ${tabDropdownHtml}
                 </div>
             </div>
             
             <div class="action-controls">
-                <button class="btn-icon-toggle btn-icon-sm action-toggle ${isActiveOnCurrentTab ? 'active' : ''}" data-id="${action.id}" title="${isActiveOnCurrentTab ? 'Stop on this tab' : 'Start on this tab'}">
+                <button class="btn-icon-toggle btn-icon-sm action-toggle ${isActiveOnCurrentTab && !isPausedOnCurrentTab ? 'active' : ''}" data-id="${action.id}" title="${isPausedOnCurrentTab ? 'Resume on this tab' : isActiveOnCurrentTab ? 'Pause on this tab' : 'Start on this tab'}">
                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                       <path d="M18.36 6.64a9 9 0 1 1-12.73 0" />
                       <line x1="12" y1="2" x2="12" y2="12" />
@@ -444,8 +767,8 @@ function attachActionListeners() {
             const actions = await getActions();
             const action = actions.find(a => a.id === id);
             if (action) {
-                const isActiveOnCurrentTab = action.instances?.[currentTabId]?.enabled;
-                const newEnabled = !isActiveOnCurrentTab;
+                const instance = action.instances?.[currentTabId];
+                const newEnabled = !instance?.enabled || Boolean(instance.paused);
 
                 await chrome.runtime.sendMessage({
                     type: 'TOGGLE_ACTION',
@@ -457,7 +780,7 @@ function attachActionListeners() {
                 // Sync global toggle state (may have been auto-enabled)
                 await updateGlobalToggleState();
                 await loadActionsList();
-                showToast(newEnabled ? `Started on this tab` : `Stopped on this tab`);
+                showToast(!newEnabled ? 'Paused on this tab' : instance ? 'Resumed on this tab' : 'Started on this tab');
             }
         });
     });
@@ -479,6 +802,24 @@ function attachActionListeners() {
         });
     });
 
+    // Pause or resume on a specific tab, keeping its counters
+    elements.actionsList.querySelectorAll('.tab-pause').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const paused = btn.dataset.paused !== 'true';
+
+            await chrome.runtime.sendMessage({
+                type: 'SET_INSTANCE_PAUSED',
+                actionId: btn.dataset.action,
+                tabId: parseInt(btn.dataset.tab),
+                paused
+            });
+
+            await loadActionsList();
+            showToast(paused ? 'Paused on tab' : 'Resumed on tab');
+        });
+    });
+
     // Remove from specific tab
     elements.actionsList.querySelectorAll('.tab-remove').forEach(btn => {
         btn.addEventListener('click', async (e) => {
@@ -523,17 +864,43 @@ async function openEditModal(id) {
     elements.editActionType.value = action.type;
     elements.editKeySelect.value = action.key || 'Space';
     elements.editMouseSelect.value = action.mouseAction || 'leftClick';
+    elements.editClickPositionMode.value = action.clickPosition?.mode || 'center';
+    elements.editClickX.value = action.clickPosition?.x ?? '';
+    elements.editClickY.value = action.clickPosition?.y ?? '';
+    elements.editTextInput.value = action.text || '';
+    elements.editCharDelay.value = action.charDelay ?? 30;
+    elements.editTargetStrategy.value = action.target?.strategy || 'css';
+    elements.editTargetValue.value = action.target?.value || '';
+    updateTargetPlaceholder(elements.editTargetStrategy, elements.editTargetValue);
     elements.editInterval.value = action.interval;
     elements.editTimeUnit.value = action.timeUnit;
+    elements.editTimingMode.value = action.trigger ? 'trigger' : action.schedule ? 'schedule' : 'interval';
+    elements.editScheduleExpression.value = action.schedule || '';
+    elements.editTriggerType.value = action.trigger?.type || 'elementAppears';
+    elements.editTriggerStrategy.value = action.trigger?.strategy || 'css';
+    elements.editTriggerValue.value = action.trigger?.value || '';
+    elements.editTriggerPattern.value = action.trigger?.pattern || '';
+    updateTargetPlaceholder(elements.editTriggerStrategy, elements.editTriggerValue);
 
     elements.editRandomize.checked = action.randomize || false;
     elements.editRandomizeMin.value = action.randomizeMin || '';
     elements.editRandomizeMax.value = action.randomizeMax || '';
+    elements.editIntervalMode.value = action.intervalMode || 'fixedDelay';
+
+    applyWaitFor(getWaitForFields(true), action.waitFor);
+    updateTargetPlaceholder(elements.editWaitStrategy, elements.editWaitValue);
 
-    elements.editUrlFilter.value = action.urlFilter || '';
+    elements.editFrameMode.value = action.frame?.mode || 'top';
+    elements.editFrameUrl.value = action.frame?.url || '';
+    toggleFrameInputs(true);
+    applyUrlFilter(true, action.urlFilter);
+    elements.editAutoAttach.checked = action.autoAttach || false;
     elements.editRepeatLimit.value = action.repeatLimit || '';
     elements.editTimeLimit.value = action.timeLimit || '';
 
+    editMacroSteps = cloneMacroSteps(action.steps || []);
+    renderMacroSteps(true);
+
     // Modifiers
     editModifiers = [...(action.modifiers || [])];
     elements.editModifierBtns.forEach(btn => {
@@ -542,6 +909,9 @@ async function openEditModal(id) {
 
     // UI State
     toggleActionTypeInputs(true);
+    toggleClickCoordInputs(true);
+    toggleTimingInputs(true);
+    toggleWaitInputs(true);
     elements.editRandomizeSettings.classList.toggle('hidden', !action.randomize);
 
     showModal(elements.editActionModal);
@@ -550,7 +920,54 @@ async function openEditModal(id) {
 async function handleEditAction() {
     const id = elements.editActionId.value;
     const isKey = elements.editActionType.value === 'key';
+    const isMouse = elements.editActionType.value === 'mouse';
+    const isText = elements.editActionType.value === 'text';
+    const isMacro = elements.editActionType.value === 'macro';
     const key = isKey ? elements.editKeySelect.value : null;
+    const clickPosition = isMouse ? readClickPosition(elements.editClickPositionMode, elements.editClickX, elements.editClickY) : null;
+    if (clickPosition?.error) {
+        showToast(clickPosition.error, 'error');
+        return;
+    }
+    const text = isText ? elements.editTextInput.value : null;
+    if (isText && !text) {
+        showToast('Enter the text to type', 'error');
+        return;
+    }
+    const schedule = elements.editTimingMode.value === 'schedule' ? readSchedule(elements.editScheduleExpression) : null;
+    if (schedule?.error) {
+        showToast(schedule.error, 'error');
+        return;
+    }
+    const trigger = elements.editTimingMode.value === 'trigger' ? readTrigger(true) : null;
+    if (trigger?.error) {
+        showToast(trigger.error, 'error');
+        return;
+    }
+    const macroError = isMacro ? validateMacroSteps(editMacroSteps) : null;
+    if (macroError) {
+        showToast(macroError, 'error');
+        return;
+    }
+    const waitFor = readWaitFor(getWaitForFields(true));
+    if (waitFor && getWaitForError(waitFor)) {
+        showToast(getWaitForError(waitFor), 'error');
+        return;
+    }
+    const frame = readFrame(true, isMacro ? editMacroSteps : null);
+    if (frame?.error) {
+        showToast(frame.error, 'error');
+        return;
+    }
+    const urlFilter = readUrlFilter(getUrlFilterFields(true));
+    if (urlFilter?.error) {
+        showToast(urlFilter.error, 'error');
+        return;
+    }
+    if (elements.editAutoAttach.checked && !urlFilter?.include.length) {
+        showToast('Enter a Filter URL to run on every matching tab', 'error');
+        return;
+    }
     const randomRange = normalizeRandomRange(
         elements.editRandomize.checked,
         elements.editRandomizeMin.value,
@@ -564,16 +981,27 @@ async function handleEditAction() {
         type: elements.editActionType.value,
         key: key,
         keyInfo: key ? getKeyInfo(key) : null,
-        mouseAction: isKey ? null : elements.editMouseSelect.value,
+        mouseAction: isMouse ? elements.editMouseSelect.value : null,
         modifiers: isKey ? [...editModifiers] : [],
+        target: isMacro ? null : readTarget(elements.editTargetStrategy, elements.editTargetValue),
+        waitFor,
+        frame,
+        clickPosition,
+        text,
+        charDelay: isText ? readCharDelay(elements.editCharDelay) : null,
+        steps: isMacro ? cloneMacroSteps(editMacroSteps) : null,
+        schedule: schedule?.expression || null,
+        trigger,
         interval: parseInt(elements.editInterval.value),
         timeUnit: elements.editTimeUnit.value,
 
         randomize: elements.editRandomize.checked,
         randomizeMin: randomRange.min,
         randomizeMax: randomRange.max,
+        intervalMode: elements.editIntervalMode.value,
 
-        urlFilter: elements.editUrlFilter.value.trim() || null,
+        urlFilter,
+        autoAttach: elements.editAutoAttach.checked,
         repeatLimit: elements.editRepeatLimit.value ? parseInt(elements.editRepeatLimit.value) : null,
         timeLimit: elements.editTimeLimit.value ? parseInt(elements.editTimeLimit.value) : null
     };
@@ -585,9 +1013,490 @@ async function handleEditAction() {
     showToast('Changes saved', 'success');
 }
 
+// Element Picker
+async function handlePickTarget(isEdit) {
+    if (!currentTabId) {
+        showToast('No active tab detected', 'error');
+        return;
+    }
+
+    const context = isEdit
+        ? { form: 'edit', actionId: elements.editActionId.value }
+        : { form: 'add', draft: readAddFormDraft() };
+
+    const response = await chrome.runtime.sendMessage({ type: 'START_PICKER', targetTabId: currentTabId, context });
+    if (response?.error) {
+        showToast(response.error, 'error');
+        return;
+    }
+
+    // Hand the page over to the picker; the result is applied when the popup reopens
+    window.close();
+}
+
+async function restorePickedTarget() {
+    const state = await getPickerState();
+    if (!state || state.status !== 'picked') return;
+    await clearPickerState();
+
+    const { context, target } = state;
+    if (context?.form === 'edit' && context.actionId) {
+        await openEditModal(context.actionId);
+        elements.editTargetStrategy.value = target.strategy;
+        elements.editTargetValue.value = target.value;
+        updateTargetPlaceholder(elements.editTargetStrategy, elements.editTargetValue);
+    } else {
+        if (context?.draft) applyAddFormDraft(context.draft);
+        elements.targetStrategy.value = target.strategy;
+        elements.targetValue.value = target.value;
+        updateTargetPlaceholder(elements.targetStrategy, elements.targetValue);
+    }
+    showToast('Element picked', 'success');
+}
+
+function readAddFormDraft() {
+    return {
+        name: elements.actionName.value,
+        type: elements.actionType.value,
+        key: elements.keySelect.value,
+        mouseAction: elements.mouseSelect.value,
+        clickPositionMode: elements.clickPositionMode.value,
+        clickX: elements.clickX.value,
+        clickY: elements.clickY.value,
+        text: elements.textInput.value,
+        charDelay: elements.charDelay.value,
+        modifiers: [...selectedModifiers],
+        steps: cloneMacroSteps(macroSteps),
+        timingMode: elements.timingMode.value,
+        schedule: elements.scheduleExpression.value,
+        triggerType: elements.triggerType.value,
+        triggerStrategy: elements.triggerStrategy.value,
+        triggerValue: elements.triggerValue.value,
+        triggerPattern: elements.triggerPattern.value,
+        interval: elements.interval.value,
+        timeUnit: elements.timeUnit.value
+    };
+}
+
+function applyAddFormDraft(draft) {
+    elements.actionName.value = draft.name || '';
+    elements.actionType.value = draft.type || 'key';
+    elements.keySelect.value = draft.key || 'Space';
+    elements.mouseSelect.value = draft.mouseAction || 'leftClick';
+    elements.clickPositionMode.value = draft.clickPositionMode || 'center';
+    elements.clickX.value = draft.clickX || '';
+    elements.clickY.value = draft.clickY || '';
+    elements.textInput.value = draft.text || '';
+    elements.charDelay.value = draft.charDelay ?? 30;
+    elements.interval.value = draft.interval || 10;
+    elements.timeUnit.value = draft.timeUnit || 'seconds';
+    elements.timingMode.value = draft.timingMode || 'interval';
+    elements.scheduleExpression.value = draft.schedule || '';
+    elements.triggerType.value = draft.triggerType || 'elementAppears';
+    elements.triggerStrategy.value = draft.triggerStrategy || 'css';
+    elements.triggerValue.value = draft.triggerValue || '';
+    elements.triggerPattern.value = draft.triggerPattern || '';
+
+    selectedModifiers = [...(draft.modifiers || [])];
+    elements.modifierBtns.forEach(btn => {
+        btn.classList.toggle('active', selectedModifiers.includes(btn.dataset.modifier));
+    });
+    macroSteps = cloneMacroSteps(draft.steps || []);
+    renderMacroSteps(false);
+    toggleActionTypeInputs(false);
+    toggleClickCoordInputs(false);
+    toggleTimingInputs(false);
+}
+
+// Macro Editor
+function createMacroStep(type) {
+    switch (type) {
+        case 'key':
+            return { type, key: 'Space', keyInfo: getKeyInfo('Space'), modifiers: [], target: null, waitFor: null, delay: 0 };
+        case 'mouse':
+            return { type, mouseAction: 'leftClick', target: null, waitFor: null, delay: 0 };
+        case 'text':
+            return { type, text: '', charDelay: 0, target: null, waitFor: null, delay: 0 };
+        default:
+            return { type: 'wait', duration: 1000, delay: 0 };
+    }
+}
+
+function cloneMacroSteps(steps) {
+    return steps.map(step => ({
+        ...step,
+        modifiers: step.modifiers ? [...step.modifiers] : step.modifiers,
+        target: step.target ? { ...step.target } : step.target,
+        waitFor: step.waitFor ? { ...step.waitFor } : step.waitFor
+    }));
+}
+
+function validateMacroSteps(steps) {
+    if (steps.length === 0) return 'Add at least one step to the macro';
+    if (steps.length > MAX_MACRO_STEPS) return `Macros are limited to ${MAX_MACRO_STEPS} steps`;
+    const emptyText = steps.findIndex(step => step.type === 'text' && !step.text);
+    if (emptyText !== -1) return `Step ${emptyText + 1} has no text to type`;
+    const badWait = steps.findIndex(step => step.waitFor && getWaitForError(step.waitFor));
+    if (badWait !== -1) return `Step ${badWait + 1}: ${getWaitForError(steps[badWait].waitFor)}`;
+    return null;
+}
+
+function setupMacroEditor(isEdit) {
+    const group = isEdit ? elements.editMacroGroup : elements.macroGroup;
+    const container = isEdit ? elements.editMacroSteps : elements.macroSteps;
+    const getSteps = () => (isEdit ? editMacroSteps : macroSteps);
+
+    group.querySelectorAll('.macro-add-step').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const steps = getSteps();
+            if (steps.length >= MAX_MACRO_STEPS) {
+                showToast(`Macros are limited to ${MAX_MACRO_STEPS} steps`, 'warning');
+                return;
+            }
+            steps.push(createMacroStep(btn.dataset.step));
+            renderMacroSteps(isEdit);
+        });
+    });
+
+    group.querySelector('.macro-record').addEventListener('click', () => handleRecordMacro(isEdit));
+
+    // Re-time every step at once, e.g. after recording at human speed
+    group.querySelector('.macro-retime-set').addEventListener('click', () => {
+        const delay = parseInt(group.querySelector('.macro-retime-value').value);
+        if (Number.isNaN(delay) || delay < 0) {
+            showToast('Enter a delay in milliseconds', 'error');
+            return;
+        }
+        getSteps().forEach(step => { step.delay = delay; });
+        renderMacroSteps(isEdit);
+    });
+    group.querySelectorAll('.macro-retime-scale').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const factor = parseFloat(btn.dataset.factor);
+            getSteps().forEach(step => { step.delay = Math.round((step.delay || 0) * factor); });
+            renderMacroSteps(isEdit);
+        });
+    });
+
+    // Field edits update the step in place so focus isn't lost mid-typing
+    const onFieldChange = (event) => {
+        const field = event.target.dataset.field;
+        const row = event.target.closest('.macro-step');
+        if (!field || !row) return;
+        updateMacroStepField(getSteps()[row.dataset.index], field, row);
+    };
+    container.addEventListener('input', onFieldChange);
+    container.addEventListener('change', onFieldChange);
+
+    container.addEventListener('click', (event) => {
+        const row = event.target.closest('.macro-step');
+        if (!row) return;
+        const steps = getSteps();
+        const index = parseInt(row.dataset.index);
+
+        const modifierBtn = event.target.closest('.macro-step-modifier');
+        if (modifierBtn) {
+            if (!steps[index].modifiers) steps[index].modifiers = [];
+            toggleModifier(modifierBtn, steps[index].modifiers);
+            return;
+        }
+
+        if (event.target.closest('.macro-step-remove')) {
+            steps.splice(index, 1);
+            renderMacroSteps(isEdit);
+            return;
+        }
+
+        const moveBtn = event.target.closest('.macro-step-move');
+        if (moveBtn) {
+            const newIndex = index + parseInt(moveBtn.dataset.dir);
+            if (newIndex < 0 || newIndex >= steps.length) return;
+            [steps[index], steps[newIndex]] = [steps[newIndex], steps[index]];
+            renderMacroSteps(isEdit);
+        }
+    });
+
+    renderMacroSteps(isEdit);
+}
+
+function updateMacroStepField(step, field, row) {
+    switch (field) {
+        case 'delay':
+        case 'duration':
+        case 'charDelay':
+            step[field] = Math.max(0, parseInt(row.querySelector(`[data-field="${field}"]`).value) || 0);
+            break;
+        case 'key':
+            step.key = row.querySelector('[data-field="key"]').value;
+            step.keyInfo = getKeyInfo(step.key);
+            break;
+        case 'targetStrategy':
+        case 'targetValue':
+            step.target = readTarget(
+                row.querySelector('[data-field="targetStrategy"]'),
+                row.querySelector('[data-field="targetValue"]')
+            );
+            break;
+        case 'waitStrategy':
+        case 'waitValue':
+        case 'waitCondition':
+        case 'waitText':
+        case 'waitTimeout':
+        case 'waitOnTimeout':
+            step.waitFor = readWaitFor(getStepWaitForFields(row));
+            // Condition and timeout only matter once there is something to wait for
+            row.querySelectorAll('.macro-step-wait-option').forEach(el => el.classList.toggle('hidden', !step.waitFor));
+            row.querySelector('[data-field="waitText"]').classList.toggle('hidden', step.waitFor?.condition !== 'containsText');
+            break;
+        default:
+            step[field] = row.querySelector(`[data-field="${field}"]`).value;
+    }
+}
+
+function renderMacroSteps(isEdit) {
+    const steps = isEdit ? editMacroSteps : macroSteps;
+    const container = isEdit ? elements.editMacroSteps : elements.macroSteps;
+
+    if (steps.length === 0) {
+        container.innerHTML = '<p class="helper-text">No steps yet.</p>';
+        return;
+    }
+
+    container.innerHTML = steps.map((step, index) => `
+        <div class="macro-step" data-index="${index}">
+            <div class="macro-step-header">
+                <span class="macro-step-index">${index + 1}</span>
+                <span class="macro-step-type">${MACRO_STEP_TYPES[step.type]?.label || step.type}</span>
+                <input type="number" class="input-text macro-step-delay" data-field="delay" min="0" value="${step.delay || 0}" title="Delay before this step (ms)">
+                <button type="button" class="btn-icon-sm macro-step-move" data-dir="-1" title="Move up">↑</button>
+                <button type="button" class="btn-icon-sm macro-step-move" data-dir="1" title="Move down">↓</button>
+                <button type="button" class="btn-icon-sm delete macro-step-remove" title="Remove step">×</button>
+            </div>
+            <div class="macro-step-body">${renderMacroStepFields(step)}</div>
+        </div>
+    `).join('');
+}
+
+function renderMacroStepFields(step) {
+    const targetFields = `
+        <select class="input-select target-strategy" data-field="targetStrategy">
+            ${Object.entries(TARGET_STRATEGIES).map(([value, info]) =>
+                `<option value="${value}" ${step.target?.strategy === value ? 'selected' : ''}>${info.label}</option>`).join('')}
+        </select>
+        <input type="text" class="input-text" data-field="targetValue" value="${escapeHtml(step.target?.value)}" placeholder="Target (optional)">
+    `;
+    const waitFor = step.waitFor;
+    const waitOption = waitFor ? 'macro-step-wait-option' : 'macro-step-wait-option hidden';
+    const waitFields = `
+        <div class="macro-step-wait">
+            <span class="separator">Wait for</span>
+            <select class="input-select target-strategy" data-field="waitStrategy">
+                ${Object.entries(TARGET_STRATEGIES).map(([value, info]) =>
+                    `<option value="${value}" ${waitFor?.strategy === value ? 'selected' : ''}>${info.label}</option>`).join('')}
+            </select>
+            <input type="text" class="input-text" data-field="waitValue" value="${escapeHtml(waitFor?.value)}" placeholder="Element (optional)">
+            <select class="input-select ${waitOption}" data-field="waitCondition">
+                ${Object.entries(WAIT_CONDITIONS).map(([value, info]) =>
+                    `<option value="${value}" ${waitFor?.condition === value ? 'selected' : ''}>${info.label}</option>`).join('')}
+            </select>
+            <input type="text" class="input-text ${waitFor?.condition === 'containsText' ? '' : 'hidden'}" data-field="waitText" value="${escapeHtml(waitFor?.text)}" placeholder="Text">
+            <input type="number" class="input-text macro-step-wait-timeout ${waitOption}" data-field="waitTimeout" min="0" max="${MAX_WAIT_TIMEOUT}" value="${waitFor ? waitFor.timeout / 1000 : DEFAULT_WAIT_TIMEOUT}" title="Timeout (s)">
+            <select class="input-select ${waitOption}" data-field="waitOnTimeout" title="When the timeout runs out">
+                ${Object.entries(WAIT_TIMEOUT_OUTCOMES).map(([value, info]) =>
+                    `<option value="${value}" ${waitFor?.onTimeout === value ? 'selected' : ''}>${info.label}</option>`).join('')}
+            </select>
+        </div>
+    `;
+
+    switch (step.type) {
+        case 'key':
+            return `
+                <select class="input-select" data-field="key">
+                    ${Object.keys(ALL_KEYS).map(key =>
+                        `<option value="${key}" ${step.key === key ? 'selected' : ''}>${key}</option>`).join('')}
+                </select>
+                <div class="toggle-group">
+                    ${['Ctrl', 'Alt', 'Shift'].map(mod =>
+                        `<button type="button" class="btn-toggle macro-step-modifier ${step.modifiers?.includes(mod) ? 'active' : ''}" data-modifier="${mod}">${mod}</button>`).join('')}
+                </div>
+                ${targetFields}
+                ${waitFields}
+            `;
+        case 'mouse':
+            return `
+                <select class="input-select" data-field="mouseAction">
+                    ${Object.entries(MOUSE_ACTIONS).map(([value, info]) =>
+                        `<option value="${value}" ${step.mouseAction === value ? 'selected' : ''}>${info.label}</option>`).join('')}
+                </select>
+                ${targetFields}
+                ${waitFields}
+            `;
+        case 'text':
+            return `
+                <input type="text" class="input-text" data-field="text" value="${escapeHtml(step.text)}" placeholder="Text to type">
+                <input type="number" class="input-text macro-step-char-delay" data-field="charDelay" min="0" value="${step.charDelay || 0}" title="Delay between characters (ms)">
+                ${targetFields}
+                ${waitFields}
+            `;
+        default:
+            return `
+                <input type="number" class="input-text" data-field="duration" min="0" value="${step.duration || 0}">
+                <span class="separator">ms</span>
+            `;
+    }
+}
+
+// Macro Recorder
+async function handleRecordMacro(isEdit) {
+    if (!currentTabId) {
+        showToast('No active tab detected', 'error');
+        return;
+    }
+
+    const context = isEdit
+        ? { form: 'edit', actionId: elements.editActionId.value, steps: cloneMacroSteps(editMacroSteps) }
+        : { form: 'add', draft: readAddFormDraft() };
+
+    const response = await chrome.runtime.sendMessage({ type: 'START_RECORDING', targetTabId: currentTabId, context });
+    if (response?.error) {
+        showToast(response.error, 'error');
+        return;
+    }
+
+    // Same hand-off as the picker: record in the page, convert when the popup reopens
+    window.close();
+}
+
+async function handleStopRecording() {
+    const response = await chrome.runtime.sendMessage({ type: 'STOP_RECORDING' });
+    if (response?.error) {
+        elements.recordingBanner.classList.add('hidden');
+        showToast(response.error, 'error');
+        return;
+    }
+    await restoreRecording();
+}
+
+async function restoreRecording() {
+    const state = await getRecorderState();
+    elements.recordingBanner.classList.toggle('hidden', state?.status !== 'recording');
+    if (!state || state.status !== 'recorded') return;
+    await clearRecorderState();
+
+    const { context } = state;
+    const recorded = recordingToSteps(state.events || []);
+    const isEdit = context?.form === 'edit' && context.actionId;
+
+    if (isEdit) {
+        await openEditModal(context.actionId);
+        elements.editActionType.value = 'macro';
+        editMacroSteps = cloneMacroSteps(context.steps || editMacroSteps);
+    } else {
+        if (context?.draft) applyAddFormDraft(context.draft);
+        elements.actionType.value = 'macro';
+    }
+
+    const existing = isEdit ? editMacroSteps : macroSteps;
+    let steps = [...existing, ...recorded];
+    if (steps.length > MAX_MACRO_STEPS) {
+        steps = steps.slice(0, MAX_MACRO_STEPS);
+        showToast(`Recording trimmed to ${MAX_MACRO_STEPS} steps`, 'warning');
+    } else if (recorded.length === 0) {
+        showToast('Nothing was recorded', 'warning');
+    } else {
+        showToast(`Recorded ${recorded.length} step${recorded.length === 1 ? '' : 's'} - review before saving`, 'success');
+    }
+
+    if (isEdit) {
+        editMacroSteps = steps;
+    } else {
+        macroSteps = steps;
+    }
+    toggleActionTypeInputs(Boolean(isEdit));
+    renderMacroSteps(Boolean(isEdit));
+}
+
+// Turn captured page events into macro steps, keeping the real gaps between them as delays
+function recordingToSteps(events) {
+    const steps = [];
+    let lastTime = events.length ? events[0].time : 0;
+
+    const pushStep = (step, time) => {
+        steps.push({ ...step, delay: Math.max(0, Math.round(time - lastTime)) });
+        lastTime = time;
+    };
+
+    for (const event of events) {
+        const target = event.selector ? { strategy: 'css', value: event.selector } : null;
+        const previous = steps[steps.length - 1];
+        const continuesText = previous?.type === 'text' && previous.target?.value === event.selector;
+
+        switch (event.kind) {
+            case 'key': {
+                const key = getRecordedKeyName(event);
+                if (!key) break;
+                const modifiers = [];
+                if (event.modifiers?.ctrl) modifiers.push('Ctrl');
+                if (event.modifiers?.alt) modifiers.push('Alt');
+                if (event.modifiers?.shift) modifiers.push('Shift');
+                if (event.modifiers?.meta) modifiers.push('Meta');
+                pushStep({ type: 'key', key, keyInfo: getKeyInfo(key), modifiers, target }, event.time);
+                break;
+            }
+            case 'input':
+                if (event.inputType.startsWith('insert') && event.data) {
+                    // Consecutive keystrokes into one field collapse into a single text step
+                    if (continuesText) {
+                        previous.text += event.data;
+                        lastTime = event.time;
+                    } else {
+                        pushStep({ type: 'text', text: event.data, charDelay: 0, target }, event.time);
+                    }
+                } else if (event.inputType === 'deleteContentBackward' && continuesText) {
+                    previous.text = Array.from(previous.text).slice(0, -1).join('');
+                    if (!previous.text) steps.pop();
+                    lastTime = event.time;
+                } else if (event.inputType.startsWith('delete')) {
+                    const key = event.inputType === 'deleteContentForward' ? 'Delete' : 'Backspace';
+                    pushStep({ type: 'key', key, keyInfo: getKeyInfo(key), modifiers: [], target }, event.time);
+                }
+                break;
+            case 'dblclick': {
+                // The browser reports both single clicks before the dblclick; fold them in
+                const clicks = steps.slice(-2);
+                const isPair = clicks.length === 2 && clicks.every(step =>
+                    step.type === 'mouse' && step.mouseAction === 'leftClick' && step.target?.value === event.selector);
+                if (isPair) {
+                    steps.splice(-2, 2, { ...clicks[0], mouseAction: 'doubleClick' });
+                    lastTime = event.time;
+                } else {
+                    pushStep({ type: 'mouse', mouseAction: 'doubleClick', target }, event.time);
+                }
+                break;
+            }
+            case 'click': {
+                const mouseAction = { 0: 'leftClick', 1: 'middleClick', 2: 'rightClick' }[event.button] || 'leftClick';
+                pushStep({ type: 'mouse', mouseAction, target }, event.time);
+                break;
+            }
+        }
+    }
+
+    return steps;
+}
+
+function getRecordedKeyName(event) {
+    if (/^Key[A-Z]$/.test(event.code)) return event.code.slice(3);
+    if (/^Digit\d$/.test(event.code)) return event.code.slice(5);
+    if (event.key === ' ') return 'Space';
+    return ALL_KEYS[event.key] ? event.key : null;
+}
+
 // Helpers
 function getActionIcon(action) {
     if (action.type === 'mouse') return `🖱️`;
+    if (action.type === 'macro') return '⛓';
+    if (action.type === 'text') return '✎';
     const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
     if (arrows[action.key]) return arrows[action.key];
     if (action.key === 'Space') return '␣';
@@ -595,6 +1504,239 @@ function getActionIcon(action) {
     return action.key || '?';
 }
 
+function readTarget(strategySelect, valueInput) {
+    const value = valueInput.value.trim();
+    return value ? { strategy: strategySelect.value, value } : null;
+}
+
+function getWaitForFields(isEdit) {
+    return isEdit ? {
+        strategy: elements.editWaitStrategy,
+        value: elements.editWaitValue,
+        condition: elements.editWaitCondition,
+        text: elements.editWaitText,
+        timeout: elements.editWaitTimeout,
+        onTimeout: elements.editWaitOnTimeout
+    } : {
+        strategy: elements.waitStrategy,
+        value: elements.waitValue,
+        condition: elements.waitCondition,
+        text: elements.waitText,
+        timeout: elements.waitTimeout,
+        onTimeout: elements.waitOnTimeout
+    };
+}
+
+function getStepWaitForFields(row) {
+    const field = name => row.querySelector(`[data-field="${name}"]`);
+    return {
+        strategy: field('waitStrategy'),
+        value: field('waitValue'),
+        condition: field('waitCondition'),
+        text: field('waitText'),
+        timeout: field('waitTimeout'),
+        onTimeout: field('waitOnTimeout')
+    };
+}
+
+// Precondition from a set of wait fields; timeouts are entered in seconds and stored in ms
+function readWaitFor(fields) {
+    const value = fields.value.value.trim();
+    if (!value) return null;
+
+    const seconds = parseFloat(fields.timeout.value);
+    const condition = fields.condition.value;
+    return {
+        strategy: fields.strategy.value,
+        value,
+        condition,
+        text: condition === 'containsText' ? fields.text.value.trim() : null,
+        timeout: Math.round(Math.min(Math.max(Number.isNaN(seconds) ? DEFAULT_WAIT_TIMEOUT : seconds, 0), MAX_WAIT_TIMEOUT) * 1000),
+        onTimeout: fields.onTimeout.value
+    };
+}
+
+function getWaitForError(waitFor) {
+    return waitFor.condition === 'containsText' && !waitFor.text ? 'Enter the text to wait for' : null;
+}
+
+function applyWaitFor(fields, waitFor) {
+    fields.strategy.value = waitFor?.strategy || 'css';
+    fields.value.value = waitFor?.value || '';
+    fields.condition.value = waitFor?.condition || 'exists';
+    fields.text.value = waitFor?.text || '';
+    fields.timeout.value = waitFor ? waitFor.timeout / 1000 : DEFAULT_WAIT_TIMEOUT;
+    fields.onTimeout.value = waitFor?.onTimeout || 'skip';
+}
+
+function toggleFrameInputs(isEdit) {
+    const mode = (isEdit ? elements.editFrameMode : elements.frameMode).value;
+    (isEdit ? elements.editFrameUrl : elements.frameUrl).classList.toggle('hidden', mode !== 'url');
+}
+
+// Returns null for the top frame (the default), the frame setting, or { error }
+function readFrame(isEdit, steps) {
+    const mode = (isEdit ? elements.editFrameMode : elements.frameMode).value;
+    if (mode === 'top') return null;
+
+    if (mode === 'url') {
+        const url = (isEdit ? elements.editFrameUrl : elements.frameUrl).value.trim();
+        if (!url) return { error: 'Enter the frame URL pattern' };
+        const error = getUrlFilterError({ mode: 'match', include: [url], exclude: [] });
+        return error ? { error: `Frame URL: ${error}` } : { mode, url };
+    }
+
+    if (mode === 'selector') {
+        const targetValue = (isEdit ? elements.editTargetValue : elements.targetValue).value.trim();
+        const waitValue = getWaitForFields(isEdit).value.value.trim();
+        const hasTarget = steps ? steps.some(step => step.target?.value) : Boolean(targetValue);
+        if (!hasTarget && !waitValue) return { error: 'Set a target or Wait For element to find its frame' };
+    }
+    return { mode };
+}
+
+function getUrlFilterFields(isEdit) {
+    return isEdit ? {
+        mode: elements.editUrlFilterMode,
+        include: elements.editUrlFilter,
+        exclude: elements.editUrlExclude,
+        preview: elements.editUrlFilterPreview
+    } : {
+        mode: elements.urlFilterMode,
+        include: elements.urlFilter,
+        exclude: elements.urlExclude,
+        preview: elements.urlFilterPreview
+    };
+}
+
+// Returns the filter to store, null when both lists are empty, or { error } naming the bad pattern
+function readUrlFilter(fields) {
+    const mode = fields.mode.value;
+    const filter = normalizeUrlFilter({
+        mode,
+        include: parseFilterEntries(fields.include.value, mode),
+        exclude: parseFilterEntries(fields.exclude.value, mode)
+    });
+    try {
+        compileUrlFilter(filter);
+        return filter;
+    } catch (e) {
+        return { error: e.message };
+    }
+}
+
+function applyUrlFilter(isEdit, urlFilter) {
+    const fields = getUrlFilterFields(isEdit);
+    const filter = normalizeUrlFilter(urlFilter);
+    fields.mode.value = filter?.mode || 'match';
+    fields.include.value = formatFilterEntries(filter?.include);
+    fields.exclude.value = formatFilterEntries(filter?.exclude);
+    fields.include.placeholder = URL_FILTER_MODES[fields.mode.value].placeholder;
+    updateUrlFilterPreview(isEdit);
+}
+
+// Show which open tabs the filter currently matches, or why it doesn't compile
+async function updateUrlFilterPreview(isEdit) {
+    const fields = getUrlFilterFields(isEdit);
+    const filter = readUrlFilter(fields);
+    if (!filter || filter.error) {
+        fields.preview.classList.toggle('invalid', Boolean(filter?.error));
+        fields.preview.textContent = filter?.error || URL_FILTER_HINT;
+        return;
+    }
+
+    const tabs = (await chrome.tabs.query({})).filter(tab => /^(https?|file):/.test(tab.url || ''));
+    const test = compileUrlFilter(filter);
+    const matching = tabs.filter(tab => test(tab.url));
+    const titles = matching.slice(0, 3).map(tab => truncateText(tab.title || tab.url, 24)).join(', ');
+    const more = matching.length > 3 ? ` and ${matching.length - 3} more` : '';
+
+    fields.preview.classList.remove('invalid');
+    fields.preview.textContent = matching.length === 0
+        ? `Matches none of ${tabs.length} open tabs`
+        : `Matches ${matching.length} of ${tabs.length} open tabs: ${titles}${more}`;
+}
+
+function readCharDelay(input) {
+    return Math.max(0, parseInt(input.value) || 0);
+}
+
+function truncateText(text, length) {
+    const chars = Array.from(text.replace(/\s+/g, ' ').trim());
+    return chars.length > length ? chars.slice(0, length).join('') + '…' : chars.join('');
+}
+
+function readClickPosition(modeSelect, xInput, yInput) {
+    const mode = modeSelect.value;
+    if (mode === 'center') return null;
+
+    const x = parseInt(xInput.value);
+    const y = parseInt(yInput.value);
+    if (Number.isNaN(x) || Number.isNaN(y)) {
+        return { error: 'Enter X and Y for the click position' };
+    }
+    return { mode, x, y };
+}
+
+function updateTargetPlaceholder(strategySelect, valueInput) {
+    valueInput.placeholder = TARGET_STRATEGIES[strategySelect.value]?.placeholder || '';
+}
+
+function readTrigger(isEdit) {
+    const type = (isEdit ? elements.editTriggerType : elements.triggerType).value;
+    if (type === 'elementAppears') {
+        const target = readTarget(
+            isEdit ? elements.editTriggerStrategy : elements.triggerStrategy,
+            isEdit ? elements.editTriggerValue : elements.triggerValue
+        );
+        return target ? { type, ...target } : { error: 'Enter the element to watch for' };
+    }
+    if (type === 'textMatches') {
+        const pattern = (isEdit ? elements.editTriggerPattern : elements.triggerPattern).value.trim();
+        if (!pattern) return { error: 'Enter the text pattern to watch for' };
+        try {
+            new RegExp(pattern, 'i');
+        } catch (e) {
+            return { error: `Invalid pattern: ${e.message}` };
+        }
+        return { type, pattern };
+    }
+    return { type };
+}
+
+function readSchedule(input) {
+    const expression = input.value.trim();
+    if (!expression) return { error: 'Enter a schedule' };
+    try {
+        const next = getNextOccurrence(parseSchedule(expression));
+        if (next === null) return { error: 'This schedule never fires' };
+        return { expression, next };
+    } catch (e) {
+        return { error: e.message };
+    }
+}
+
+function getTimingLabel(action, instance) {
+    if (action.trigger) {
+        const detail = action.trigger.value || action.trigger.pattern || '';
+        return `<span title="${escapeHtml(detail)}">⚡ On ${TRIGGER_TYPES[action.trigger.type]?.label.toLowerCase() || 'trigger'}</span>`;
+    }
+    if (!action.schedule) {
+        return `<span>Every ${action.interval} ${getUnitLabel(action.timeUnit)}</span>`;
+    }
+
+    // Prefer the time the worker actually armed for this tab
+    let next = instance?.enabled && instance.nextExecution > Date.now() ? instance.nextExecution : null;
+    if (!next) {
+        try {
+            next = getNextOccurrence(parseSchedule(action.schedule));
+        } catch (e) {
+            next = null;
+        }
+    }
+    return `<span title="${escapeHtml(action.schedule)}">⏰ ${next ? `Next ${formatOccurrence(next)}` : 'Invalid schedule'}</span>`;
+}
+
 function getUnitLabel(unit) {
     const units = { seconds: 's', minutes: 'm', hours: 'h', milliseconds: 'ms' };
     return units[unit] || unit;
@@ -602,7 +1744,7 @@ function getUnitLabel(unit) {
 
 function escapeHtml(text) {
     if (!text) return '';
-    return text.toString().replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    return text.toString().replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
 }
 
 function showModal(modal) {
@@ -663,6 +1805,10 @@ async function loadSettings() {
     const settings = await getSettings();
     elements.notificationsSetting.checked = settings.notifications !== false;
     elements.showOverlaySetting.checked = settings.showOverlay !== false;
+    elements.missedRunPolicySetting.value = settings.missedRunPolicy || 'once';
+    elements.overlayLayoutScopeSetting.value = settings.overlayLayoutScope || 'origin';
+    elements.maxLogsSetting.value = String(settings.maxLogs);
+    elements.pauseOnUserInputSetting.checked = settings.pauseOnUserInput === true;
 
     // Apply saved theme
     const savedTheme = localStorage.getItem('akp-theme') || 'dark';
@@ -673,6 +1819,22 @@ async function handleNotificationsChange() {
     await saveSettings({ notifications: elements.notificationsSetting.checked });
 }
 
+async function handlePauseOnUserInputChange() {
+    await saveSettings({ pauseOnUserInput: elements.pauseOnUserInputSetting.checked });
+}
+
+async function handleMissedRunPolicyChange() {
+    await saveSettings({ missedRunPolicy: elements.missedRunPolicySetting.value });
+}
+
+async function handleOverlayLayoutScopeChange() {
+    await saveSettings({ overlayLayoutScope: elements.overlayLayoutScopeSetting.value });
+}
+
+async function handleMaxLogsChange() {
+    await saveSettings({ maxLogs: parseInt(elements.maxLogsSetting.value) });
+}
+
 async function handleOverlayChange() {
     const visible = elements.showOverlaySetting.checked;
     await chrome.runtime.sendMessage({ type: 'SET_OVERLAY_VISIBLE', visible });
@@ -690,13 +1852,17 @@ function handleThemeToggle() {
 
 async function handleExport() {
     const data = await exportData();
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    downloadFile('akp-backup.json', JSON.stringify(data, null, 2), 'application/json');
+    showToast('Config exported');
+}
+
+function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `akp-backup.json`;
+    a.download = filename;
     a.click();
-    showToast('Config exported');
 }
 
 async function handleImport(e) {
@@ -709,10 +1875,217 @@ async function handleImport(e) {
         await init();
         showToast('Config imported');
     } catch (err) {
-        showToast('Import failed', 'error');
+        // JSON syntax errors and newer-schema backups both say what went wrong
+        showToast(err.message ? `Import failed: ${err.message}` : 'Import failed', 'error');
+    }
+}
+
+// Activity Log
+async function loadLogsList() {
+    logEntries = await getLogs();
+    updateLogFilterOptions(logEntries);
+    renderLogs();
+}
+
+function getLogFilters() {
+    return {
+        actionId: elements.logActionFilter.value,
+        tabId: elements.logTabFilter.value,
+        outcome: elements.logOutcomeFilter.value,
+        range: elements.logRangeFilter.value
+    };
+}
+
+// Offer the actions and tabs that appear in the log; a choice that has aged out falls back to "All"
+function updateLogFilterOptions(logs) {
+    const actionNames = new Map();
+    const tabIds = new Set();
+    for (const entry of logs) {
+        if (entry.actionId && !actionNames.has(entry.actionId)) actionNames.set(entry.actionId, entry.actionName || entry.actionId);
+        if (entry.tabId != null) tabIds.add(String(entry.tabId));
+    }
+
+    fillFilterSelect(elements.logActionFilter, 'All actions', [...actionNames]);
+    fillFilterSelect(elements.logTabFilter, 'All tabs', [...tabIds]
+        .sort((a, b) => a - b)
+        .map(id => [id, id === String(currentTabId) ? `Tab ${id} (this tab)` : `Tab ${id}`]));
+}
+
+function fillFilterSelect(select, allLabel, options) {
+    const value = select.value;
+    select.innerHTML = `<option value="">${allLabel}</option>` +
+        options.map(([optionValue, label]) => `<option value="${escapeHtml(optionValue)}">${escapeHtml(label)}</option>`).join('');
+    select.value = options.some(([optionValue]) => optionValue === value) ? value : '';
+}
+
+function renderLogs() {
+    const logs = filterLogs(logEntries, getLogFilters());
+    elements.logsSummary.textContent = logs.length > MAX_RENDERED_LOGS
+        ? `Showing ${MAX_RENDERED_LOGS} of ${logs.length} entries`
+        : `${logs.length} ${logs.length === 1 ? 'entry' : 'entries'}`;
+
+    if (!logs.length) {
+        elements.logsList.innerHTML = '<div class="empty-state"><p>No log entries</p><span>Runs, skips and errors show up here</span></div>';
+        return;
+    }
+
+    elements.logsList.innerHTML = logs.slice(0, MAX_RENDERED_LOGS).map(entry => {
+        const outcome = getLogOutcome(entry);
+        const meta = [
+            entry.tabId != null ? `Tab ${entry.tabId}` : null,
+            entry.url ? formatLogUrl(entry.url) : null,
+            entry.durationMs != null ? `${entry.durationMs} ms` : null,
+            entry.driftMs != null ? `${formatDrift(entry.driftMs)} drift` : null
+        ].filter(Boolean).join(' • ');
+        return `
+            <div class="log-entry">
+                <div class="log-entry-header">
+                    <span class="status-pill log-outcome ${outcome}">${LOG_OUTCOMES[outcome].label}</span>
+                    <span class="log-action">${escapeHtml(entry.actionName || entry.actionId)}</span>
+                    <span class="log-time" title="${escapeHtml(new Date(entry.timestamp).toLocaleString())}">${formatLogTime(entry.timestamp)}</span>
+                </div>
+                ${meta ? `<div class="action-meta" title="${escapeHtml(entry.url)}">${escapeHtml(meta)}</div>` : ''}
+                ${entry.error ? `<div class="log-message">${escapeHtml(entry.error)}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+// Today's entries show just the time; older ones add the date
+function formatLogTime(timestamp) {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    return date.toDateString() === new Date().toDateString() ? time : `${date.toLocaleDateString()} ${time}`;
+}
+
+function formatLogUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.host ? `${parsed.host}${parsed.pathname === '/' ? '' : parsed.pathname}` : url;
+    } catch (e) {
+        return url;
     }
 }
 
+// Exports what the filters currently show, for QA reports
+function handleExportLogs(format) {
+    const logs = filterLogs(logEntries, getLogFilters());
+    if (format === 'csv') {
+        downloadFile('akp-logs.csv', formatLogsCsv(logs), 'text/csv');
+    } else {
+        downloadFile('akp-logs.json', JSON.stringify(logs, null, 2), 'application/json');
+    }
+    showToast(`Exported ${logs.length} ${logs.length === 1 ? 'entry' : 'entries'}`);
+}
+
+async function handleClearLogs() {
+    await clearLogs();
+    await loadLogsList();
+    showToast('Logs cleared');
+}
+
+// Execution Stats
+async function loadStatsList() {
+    const [stats, actions] = await Promise.all([getStats(), getActions()]);
+    renderStats(stats, actions);
+}
+
+function renderStats(stats, actions) {
+    const tracked = actions.filter(action => stats[action.id]);
+    const total = summarizeStats(mergeTabStats(tracked.flatMap(action => Object.values(stats[action.id]))));
+    elements.statsSummary.textContent = total.runs
+        ? `${total.runs} ${total.runs === 1 ? 'run' : 'runs'} • ${formatPercent(total.successRate)} succeeded`
+        : 'No runs yet';
+
+    if (!tracked.length) {
+        elements.statsList.innerHTML = '<div class="empty-state"><p>No stats yet</p><span>Runs are counted here once an action starts</span></div>';
+        return;
+    }
+
+    elements.statsList.innerHTML = tracked.map(action => {
+        const tabs = Object.entries(stats[action.id]).sort(([a], [b]) => a - b);
+        const merged = mergeTabStats(tabs.map(([, tabStats]) => tabStats));
+        const summary = summarizeStats(merged);
+        return `
+            <div class="stats-card">
+                <div class="log-entry-header">
+                    <span class="log-action">${escapeHtml(action.name)}</span>
+                    <span class="log-time">${summary.skips ? `${summary.skips} skipped` : ''}</span>
+                </div>
+                <div class="stats-grid">
+                    ${formatStatTile('Runs', summary.runs)}
+                    ${formatStatTile('Success', formatPercent(summary.successRate))}
+                    ${formatStatTile('Avg drift', formatDrift(summary.averageDriftMs), summary.maxDriftMs !== null ? `Max ${formatDrift(summary.maxDriftMs)}` : '')}
+                    ${formatStatTile('Runtime', formatStatDuration(summary.totalDurationMs))}
+                </div>
+                ${formatHourlyChart(merged)}
+                <div class="stats-tabs">
+                    ${tabs.map(([tabId, tabStats]) => formatTabStatsRow(tabId, tabStats)).join('')}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function formatStatTile(label, value, title = '') {
+    return `
+        <div class="stats-tile" ${title ? `title="${escapeHtml(title)}"` : ''}>
+            <span class="stats-value">${escapeHtml(String(value))}</span>
+            <span class="stats-label">${label}</span>
+        </div>
+    `;
+}
+
+// One bar per hour for the last day, scaled to the busiest hour
+function formatHourlyChart(stats) {
+    const series = getHourlySeries(stats);
+    const peak = Math.max(1, ...series.map(point => point.count));
+    const bars = series.map(({ hour, count }) => {
+        const label = new Date(hour).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return `<span class="stats-bar" style="height: ${Math.round(count / peak * 100)}%" title="${escapeHtml(label)} • ${count} ${count === 1 ? 'run' : 'runs'}"></span>`;
+    }).join('');
+    return `<div class="stats-chart" aria-label="Runs per hour, last 24 hours">${bars}</div>`;
+}
+
+function formatTabStatsRow(tabId, tabStats) {
+    const summary = summarizeStats(tabStats);
+    const tabLabel = tabId === String(currentTabId) ? `Tab ${tabId} (this tab)` : `Tab ${tabId}`;
+    const meta = [
+        `${summary.runs} ${summary.runs === 1 ? 'run' : 'runs'}`,
+        formatPercent(summary.successRate),
+        summary.averageDriftMs !== null ? `${formatDrift(summary.averageDriftMs)} drift` : null
+    ].filter(Boolean).join(' • ');
+    return `
+        <div class="stats-tab-row" title="${escapeHtml(tabStats.url || '')}">
+            <span class="stats-tab-name">${escapeHtml(tabStats.url ? `${tabLabel} • ${formatLogUrl(tabStats.url)}` : tabLabel)}</span>
+            <span class="log-time">${escapeHtml(meta)}</span>
+        </div>
+    `;
+}
+
+function formatPercent(ratio) {
+    return ratio === null ? '—' : `${Math.round(ratio * 100)}%`;
+}
+
+// Drift is how late a run fired compared to its planned time
+function formatDrift(ms) {
+    if (ms === null) return '—';
+    return `${ms < 0 ? '-' : '+'}${formatStatDuration(Math.abs(ms))}`;
+}
+
+function formatStatDuration(ms) {
+    if (ms < 1000) return `${Math.round(ms)} ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+    if (ms < 3600000) return `${(ms / 60000).toFixed(1)} min`;
+    return `${(ms / 3600000).toFixed(1)} h`;
+}
+
+async function handleClearStats() {
+    await clearStats();
+    await loadStatsList();
+    showToast('Stats reset');
+}
+
 // Profiles (Simplified)
 async function loadProfilesList() {
     const profiles = await getProfiles();
@@ -764,7 +2137,7 @@ function renderProfiles(profiles) {
 async function handleSaveProfile() {
     const name = elements.profileName.value.trim();
     if (!name) return;
-    const actions = await getActions();
+    const actions = await getActionDefinitions();
     await saveProfile({ id: generateId(), name, actions, createdAt: Date.now() });
     hideModal(elements.saveProfileModal);
     elements.profileName.value = '';
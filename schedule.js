@@ -0,0 +1,220 @@
+// Schedule expressions: 5-field cron ("*/15 9-17 * * 1-5") and calendar phrases ("daily at 08:30")
+// Everything is evaluated in the browser's local time zone.
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+    { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+const CRON_MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+const DAY_GROUPS = {
+    daily: [0, 1, 2, 3, 4, 5, 6],
+    day: [0, 1, 2, 3, 4, 5, 6],
+    weekdays: [1, 2, 3, 4, 5],
+    weekends: [0, 6]
+};
+
+// Leap-day schedules can be four years apart; anything rarer is treated as never
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+// Parse an expression into { minutesOfDay, daysOfMonth, months, weekdays } or throw with a readable message
+export function parseSchedule(expression) {
+    const text = String(expression || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!text) throw new Error('Schedule is empty');
+
+    const calendar = text.match(/^(.+?) at (.+)$/);
+    if (calendar) return parseCalendar(calendar[1], calendar[2]);
+    return parseCron(CRON_MACROS[text] || text);
+}
+
+export function isValidSchedule(expression) {
+    try {
+        parseSchedule(expression);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// First matching minute strictly after `from`, or null if the schedule never fires
+export function getNextOccurrence(schedule, from = Date.now()) {
+    const start = new Date(from);
+    start.setSeconds(0, 0);
+    start.setMinutes(start.getMinutes() + 1);
+    const startMinute = start.getHours() * 60 + start.getMinutes();
+
+    const day = new Date(start);
+    day.setHours(0, 0, 0, 0);
+
+    for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+        if (matchesDay(schedule, day)) {
+            const minute = schedule.minutesOfDay.find(m => i > 0 || m >= startMinute);
+            if (minute !== undefined) {
+                const next = new Date(day);
+                next.setHours(Math.floor(minute / 60), minute % 60, 0, 0);
+                if (next.getTime() > from) return next.getTime();
+            }
+        }
+        day.setDate(day.getDate() + 1);
+    }
+    return null;
+}
+
+// "08:30" today, "Mon 08:30" this week, "Oct 20 08:30" further out
+export function formatOccurrence(timestamp, now = Date.now()) {
+    const date = new Date(timestamp);
+    const time = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    const daysAway = Math.floor((timestamp - today.getTime()) / 86400000);
+
+    if (daysAway === 0) return time;
+    if (daysAway > 0 && daysAway < 7) return `${capitalize(DAY_NAMES[date.getDay()])} ${time}`;
+    return `${capitalize(MONTH_NAMES[date.getMonth()])} ${date.getDate()} ${time}`;
+}
+
+function parseCron(text) {
+    const parts = text.split(' ');
+    if (parts.length !== 5) {
+        throw new Error('Use 5 cron fields (minute hour day month weekday) or a phrase like "daily at 08:30"');
+    }
+
+    const [minutes, hours, daysOfMonth, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+
+    // Cron treats 7 as another Sunday
+    if (weekdays.delete(7)) weekdays.add(0);
+
+    const minutesOfDay = [];
+    for (const hour of [...hours].sort((a, b) => a - b)) {
+        for (const minute of [...minutes].sort((a, b) => a - b)) {
+            minutesOfDay.push(hour * 60 + minute);
+        }
+    }
+
+    return {
+        minutesOfDay,
+        daysOfMonth,
+        months,
+        weekdays,
+        dayOfMonthRestricted: parts[2] !== '*',
+        weekdayRestricted: parts[4] !== '*'
+    };
+}
+
+function parseCronField(text, field) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        if (!Number.isInteger(step) || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+            throw new Error(`Invalid step in ${field.name} "${part}"`);
+        }
+
+        let low;
+        let high;
+        if (range === '*') {
+            low = field.min;
+            high = field.max;
+        } else if (range.includes('-')) {
+            const [from, to] = range.split('-');
+            low = parseCronValue(from, field, part);
+            high = parseCronValue(to, field, part);
+        } else {
+            low = parseCronValue(range, field, part);
+            high = stepText === undefined ? low : field.max;
+        }
+
+        if (low > high) throw new Error(`Invalid range in ${field.name} "${part}"`);
+        for (let value = low; value <= high; value += step) values.add(value);
+    }
+
+    return values;
+}
+
+function parseCronValue(text, field, part) {
+    const nameIndex = field.names ? field.names.indexOf(text) : -1;
+    const value = nameIndex !== -1 ? nameIndex + field.nameOffset : (/^\d+$/.test(text) ? parseInt(text, 10) : NaN);
+    if (Number.isNaN(value) || value < field.min || value > field.max) {
+        throw new Error(`Invalid ${field.name} "${part}" (allowed ${field.min}-${field.max})`);
+    }
+    return value;
+}
+
+function parseCalendar(dayText, timeText) {
+    const weekdays = new Set(parseCalendarDays(dayText));
+    const minutesOfDay = [...new Set(timeText.split(/\s*(?:,|\band\b)\s*/).filter(Boolean).map(parseTimeOfDay))]
+        .sort((a, b) => a - b);
+
+    return {
+        minutesOfDay,
+        daysOfMonth: new Set(Array.from({ length: 31 }, (_, i) => i + 1)),
+        months: new Set(Array.from({ length: 12 }, (_, i) => i + 1)),
+        weekdays,
+        dayOfMonthRestricted: false,
+        weekdayRestricted: weekdays.size < 7
+    };
+}
+
+function parseCalendarDays(text) {
+    const words = text.replace(/^(every|on) /, '').split(/\s*(?:,|\band\b|\s)\s*/).filter(Boolean);
+    const days = [];
+
+    for (const word of words) {
+        if (DAY_GROUPS[word]) {
+            days.push(...DAY_GROUPS[word]);
+            continue;
+        }
+        // Accept "mon", "monday" and plurals like "mondays"
+        const index = DAY_NAMES.findIndex(name => word.startsWith(name) && /^[a-z]+$/.test(word));
+        if (index === -1) throw new Error(`Unknown day "${word}" (try daily, weekdays, weekends or mon, tue, …)`);
+        days.push(index);
+    }
+
+    return days;
+}
+
+function parseTimeOfDay(text) {
+    const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+    if (!match || (match[2] === undefined && !match[3])) {
+        throw new Error(`Invalid time "${text}" (use HH:MM or 8am)`);
+    }
+
+    let hour = parseInt(match[1], 10);
+    const minute = match[2] === undefined ? 0 : parseInt(match[2], 10);
+    if (match[3]) {
+        if (hour < 1 || hour > 12) throw new Error(`Invalid time "${text}"`);
+        hour = hour % 12 + (match[3] === 'pm' ? 12 : 0);
+    }
+    if (hour > 23 || minute > 59) throw new Error(`Invalid time "${text}"`);
+
+    return hour * 60 + minute;
+}
+
+function matchesDay(schedule, date) {
+    if (!schedule.months.has(date.getMonth() + 1)) return false;
+    const dayOfMonthMatches = schedule.daysOfMonth.has(date.getDate());
+    const weekdayMatches = schedule.weekdays.has(date.getDay());
+
+    // Standard cron: when both day fields are restricted, either one may match
+    if (schedule.dayOfMonthRestricted && schedule.weekdayRestricted) {
+        return dayOfMonthMatches || weekdayMatches;
+    }
+    return dayOfMonthMatches && weekdayMatches;
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
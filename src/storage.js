@@ -9,12 +9,24 @@ import {
   StorageError,
   ValidationError
 } from './types.js';
+import { SCHEMA_VERSION, migrateData } from '../migrations.js';
+import { applyRunSample } from '../stats.js';
 
 /** @typedef {import('./types').Action} Action */
 /** @typedef {import('./types').Profile} Profile */
 /** @typedef {import('./types').Settings} Settings */
 /** @typedef {import('./types').LogEntry} LogEntry */
 /** @typedef {import('./types').ExportData} ExportData */
+/** @typedef {import('./types').WaitFor} WaitFor */
+/** @typedef {import('./types').Trigger} Trigger */
+/** @typedef {import('./types').UrlFilter} UrlFilter */
+/** @typedef {import('./types').FrameTarget} FrameTarget */
+/** @typedef {import('./types').ActionDefinition} ActionDefinition */
+/** @typedef {import('./types').ActionInstances} ActionInstances */
+/** @typedef {import('./types').ActionStats} ActionStats */
+/** @typedef {import('./types').RunSample} RunSample */
+
+const OVERLAY_ANCHORS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
 
 /**
  * Maximum number of instances per action to prevent memory issues
@@ -22,6 +34,18 @@ import {
  */
 const MAX_INSTANCES_PER_ACTION = 5;
 
+/**
+ * Maximum number of steps in a macro action
+ * @constant {number}
+ */
+const MAX_MACRO_STEPS = 50;
+
+/**
+ * Longest a precondition may wait for its element (ms)
+ * @constant {number}
+ */
+const MAX_WAIT_TIMEOUT = 300000;
+
 /**
  * Maximum storage operations retry attempts
  * @constant {number}
@@ -87,6 +111,36 @@ async function executeWithRetry(operationId, operation) {
   }
 }
 
+/**
+ * Web Lock shared with the root storage module and every extension context
+ * @constant {string}
+ */
+const STORAGE_LOCK = 'ghostinput-storage';
+
+/**
+ * Tail of the write queue; each write starts once the one before it settles
+ * @type {Promise<void>}
+ */
+let writeQueue = Promise.resolve();
+
+/**
+ * Run a read-modify-write operation after every earlier write, holding the storage lock,
+ * so concurrent callers can't overwrite each other's changes. The operation must not call
+ * another queued writer, or it would wait on itself.
+ * @template T
+ * @param {string} operationId - Unique operation identifier
+ * @param {() => Promise<T>} operation - Async operation to execute
+ * @returns {Promise<T>} Operation result
+ * @throws {StorageError} When operation fails after retries
+ */
+function executeQueued(operationId, operation) {
+  const run = () => executeWithRetry(operationId, operation);
+  const locks = globalThis.navigator?.locks;
+  const result = writeQueue.then(() => (locks ? locks.request(STORAGE_LOCK, run) : run()));
+  writeQueue = result.then(() => {}, () => {});
+  return result;
+}
+
 /**
  * Validate action data before storage
  * @param {Action} action - Action to validate
@@ -105,13 +159,66 @@ function validateAction(action) {
     throw new ValidationError('Action must have a valid name', { action: action.id });
   }
   
-  if (!['key', 'mouse'].includes(action.type)) {
-    throw new ValidationError('Action must have a valid type (key or mouse)', { 
+  if (!['key', 'mouse', 'text', 'macro'].includes(action.type)) {
+    throw new ValidationError('Action must have a valid type (key, mouse, text or macro)', { 
       action: action.id, 
       type: action.type 
     });
   }
   
+  if (action.type === 'macro') {
+    validateMacroSteps(action);
+  }
+  
+  if (action.type === 'text') {
+    validateTextInput(action, { action: action.id });
+  }
+  
+  if (action.target) {
+    if (!['css', 'xpath', 'text'].includes(action.target.strategy)) {
+      throw new ValidationError('Action target must use a css, xpath or text strategy', {
+        action: action.id,
+        strategy: action.target.strategy
+      });
+    }
+    if (!action.target.value || typeof action.target.value !== 'string') {
+      throw new ValidationError('Action target must have a locator value', { action: action.id });
+    }
+  }
+  
+  if (action.waitFor) {
+    validateWaitFor(action.waitFor, { action: action.id });
+  }
+  
+  if (action.frame) {
+    validateFrame(action.frame, { action: action.id });
+  }
+  
+  if (action.clickPosition) {
+    const { mode, x, y } = action.clickPosition;
+    if (!['viewport', 'offset'].includes(mode) || !Number.isFinite(x) || !Number.isFinite(y)) {
+      throw new ValidationError('Action click position must have a mode and numeric x/y', {
+        action: action.id,
+        clickPosition: action.clickPosition
+      });
+    }
+  }
+  
+  if (action.schedule != null && (typeof action.schedule !== 'string' || !action.schedule.trim())) {
+    throw new ValidationError('Action schedule must be a non-empty expression', {
+      action: action.id,
+      schedule: action.schedule
+    });
+  }
+  
+  if (action.trigger) {
+    validateTrigger(action.trigger, { action: action.id });
+  }
+  
+  if (action.urlFilter && typeof action.urlFilter !== 'string') {
+    validateUrlFilter(action.urlFilter, { action: action.id });
+  }
+  
   if (typeof action.interval !== 'number' || action.interval < 1) {
     throw new ValidationError('Action must have a valid interval >= 1', { 
       action: action.id, 
@@ -119,6 +226,13 @@ function validateAction(action) {
     });
   }
   
+  if (action.intervalMode != null && !['fixedDelay', 'fixedRate'].includes(action.intervalMode)) {
+    throw new ValidationError('Action interval mode must be fixedDelay or fixedRate', {
+      action: action.id,
+      intervalMode: action.intervalMode
+    });
+  }
+  
   // Validate instances limit
   if (action.instances) {
     const instanceCount = Object.keys(action.instances).length;
@@ -131,6 +245,201 @@ function validateAction(action) {
   }
 }
 
+/**
+ * Validate the text of a text action or macro step
+ * @param {Object} input - Action or step carrying `text` and optional `charDelay`
+ * @param {Object} details - Context attached to the error
+ * @throws {ValidationError} When the text is empty or the delay is negative
+ */
+function validateTextInput(input, details) {
+  if (!input.text || typeof input.text !== 'string') {
+    throw new ValidationError('Text input must have text to type', details);
+  }
+  
+  if (input.charDelay != null && (typeof input.charDelay !== 'number' || input.charDelay < 0)) {
+    throw new ValidationError('Text input must have a character delay >= 0', { ...details, charDelay: input.charDelay });
+  }
+}
+
+/**
+ * Validate the precondition of an action or macro step
+ * @param {WaitFor} waitFor - Locator, condition and timeout outcome
+ * @param {Object} details - Context attached to the error
+ * @throws {ValidationError} When the locator, condition, timeout or outcome is invalid
+ */
+function validateWaitFor(waitFor, details) {
+  if (!['css', 'xpath', 'text'].includes(waitFor.strategy) || !waitFor.value || typeof waitFor.value !== 'string') {
+    throw new ValidationError('Wait condition must have a css, xpath or text locator', {
+      ...details,
+      strategy: waitFor.strategy
+    });
+  }
+  
+  if (!['exists', 'visible', 'containsText'].includes(waitFor.condition)) {
+    throw new ValidationError('Wait condition must be exists, visible or containsText', {
+      ...details,
+      condition: waitFor.condition
+    });
+  }
+  
+  if (waitFor.condition === 'containsText' && (!waitFor.text || typeof waitFor.text !== 'string')) {
+    throw new ValidationError('Wait condition must have the text to look for', details);
+  }
+  
+  if (typeof waitFor.timeout !== 'number' || waitFor.timeout < 0 || waitFor.timeout > MAX_WAIT_TIMEOUT) {
+    throw new ValidationError(`Wait timeout must be between 0 and ${MAX_WAIT_TIMEOUT} ms`, {
+      ...details,
+      timeout: waitFor.timeout
+    });
+  }
+  
+  if (!['skip', 'retry', 'stop'].includes(waitFor.onTimeout)) {
+    throw new ValidationError('Wait timeout outcome must be skip, retry or stop', {
+      ...details,
+      onTimeout: waitFor.onTimeout
+    });
+  }
+}
+
+/**
+ * Validate the page event that fires an action
+ * @param {Trigger} trigger - Trigger type with its locator or pattern
+ * @param {Object} details - Context attached to the error
+ * @throws {ValidationError} When the type is unknown or its locator or pattern is missing or invalid
+ */
+function validateTrigger(trigger, details) {
+  if (!['elementAppears', 'textMatches', 'urlChange', 'pageLoad'].includes(trigger.type)) {
+    throw new ValidationError('Trigger must be elementAppears, textMatches, urlChange or pageLoad', {
+      ...details,
+      type: trigger.type
+    });
+  }
+  
+  if (trigger.type === 'elementAppears' &&
+      (!['css', 'xpath', 'text'].includes(trigger.strategy) || !trigger.value || typeof trigger.value !== 'string')) {
+    throw new ValidationError('Element trigger must have a css, xpath or text locator', {
+      ...details,
+      strategy: trigger.strategy
+    });
+  }
+  
+  if (trigger.type === 'textMatches') {
+    if (!trigger.pattern || typeof trigger.pattern !== 'string') {
+      throw new ValidationError('Text trigger must have a pattern', details);
+    }
+    try {
+      new RegExp(trigger.pattern, 'i');
+    } catch (e) {
+      throw new ValidationError(`Text trigger has an invalid pattern: ${e.message}`, { ...details, pattern: trigger.pattern });
+    }
+  }
+}
+
+/**
+ * Validate the frames an action runs in
+ * @param {FrameTarget} frame - Frame mode with its URL pattern
+ * @param {Object} details - Context attached to the error
+ * @throws {ValidationError} When the mode is unknown or url mode has no pattern
+ */
+function validateFrame(frame, details) {
+  if (!['top', 'all', 'url', 'selector'].includes(frame.mode)) {
+    throw new ValidationError('Frame mode must be top, all, url or selector', { ...details, mode: frame.mode });
+  }
+  
+  if (frame.mode === 'url' && (!frame.url || typeof frame.url !== 'string')) {
+    throw new ValidationError('Frame url mode must have a match pattern', details);
+  }
+}
+
+/**
+ * Validate the include/exclude lists of a URL filter (legacy comma-separated strings are not checked)
+ * @param {UrlFilter} urlFilter - Filter mode with its pattern lists
+ * @param {Object} details - Context attached to the error
+ * @throws {ValidationError} When the mode is unknown, a list is malformed or a regex does not compile
+ */
+function validateUrlFilter(urlFilter, details) {
+  if (!['match', 'glob', 'regex'].includes(urlFilter.mode)) {
+    throw new ValidationError('URL filter mode must be match, glob or regex', { ...details, mode: urlFilter.mode });
+  }
+  
+  for (const list of ['include', 'exclude']) {
+    const entries = urlFilter[list];
+    if (!Array.isArray(entries) || entries.some(entry => !entry || typeof entry !== 'string')) {
+      throw new ValidationError(`URL filter ${list} must be a list of patterns`, details);
+    }
+    if (urlFilter.mode === 'regex') {
+      for (const entry of entries) {
+        try {
+          new RegExp(entry, 'i');
+        } catch (e) {
+          throw new ValidationError(`URL filter has an invalid pattern: ${e.message}`, { ...details, pattern: entry });
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Validate the steps of a macro action
+ * @param {Action} action - Macro action to validate
+ * @throws {ValidationError} When a step is invalid
+ */
+function validateMacroSteps(action) {
+  const steps = action.steps;
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new ValidationError('Macro must have at least one step', { action: action.id });
+  }
+  
+  if (steps.length > MAX_MACRO_STEPS) {
+    throw new ValidationError(`Macro exceeds ${MAX_MACRO_STEPS} steps`, {
+      action: action.id,
+      count: steps.length
+    });
+  }
+  
+  steps.forEach((step, index) => {
+    const details = { action: action.id, step: index + 1 };
+    
+    if (!step || typeof step !== 'object') {
+      throw new ValidationError('Macro step must be an object', details);
+    }
+    
+    if (typeof step.delay !== 'number' || step.delay < 0) {
+      throw new ValidationError('Macro step must have a delay >= 0', { ...details, delay: step.delay });
+    }
+    
+    if (step.waitFor) {
+      validateWaitFor(step.waitFor, details);
+    }
+    
+    switch (step.type) {
+      case 'key':
+        if (!step.key || typeof step.key !== 'string') {
+          throw new ValidationError('Key step must have a key', details);
+        }
+        break;
+      case 'mouse':
+        if (!['leftClick', 'rightClick', 'middleClick', 'doubleClick'].includes(step.mouseAction)) {
+          throw new ValidationError('Click step must have a valid mouse action', { ...details, mouseAction: step.mouseAction });
+        }
+        break;
+      case 'text':
+        validateTextInput(step, details);
+        break;
+      case 'wait':
+        if (typeof step.duration !== 'number' || step.duration < 0) {
+          throw new ValidationError('Wait step must have a duration >= 0', { ...details, duration: step.duration });
+        }
+        break;
+      default:
+        throw new ValidationError('Macro step must have a valid type (key, mouse, text or wait)', {
+          ...details,
+          type: step.type
+        });
+    }
+  });
+}
+
 /**
  * Validate settings before storage
  * @param {Partial<Settings>} settings - Settings to validate
@@ -155,17 +464,56 @@ function validateSettings(settings) {
   if (settings.notifications !== undefined && typeof settings.notifications !== 'boolean') {
     throw new ValidationError('notifications must be a boolean', { notifications: settings.notifications });
   }
+
+  if (settings.missedRunPolicy !== undefined && !['skip', 'once', 'catchup'].includes(settings.missedRunPolicy)) {
+    throw new ValidationError('missedRunPolicy must be "skip", "once" or "catchup"', {
+      missedRunPolicy: settings.missedRunPolicy
+    });
+  }
+
+  if (settings.pauseOnUserInput !== undefined && typeof settings.pauseOnUserInput !== 'boolean') {
+    throw new ValidationError('pauseOnUserInput must be a boolean', { pauseOnUserInput: settings.pauseOnUserInput });
+  }
+
+  if (settings.overlayLayoutScope !== undefined && !['origin', 'global'].includes(settings.overlayLayoutScope)) {
+    throw new ValidationError('overlayLayoutScope must be "origin" or "global"', {
+      overlayLayoutScope: settings.overlayLayoutScope
+    });
+  }
+
+  if (settings.overlayLayouts !== undefined) {
+    if (!settings.overlayLayouts || typeof settings.overlayLayouts !== 'object') {
+      throw new ValidationError('overlayLayouts must be an object', { overlayLayouts: settings.overlayLayouts });
+    }
+    for (const [key, layout] of Object.entries(settings.overlayLayouts)) {
+      if (!OVERLAY_ANCHORS.includes(layout?.anchor)) {
+        throw new ValidationError(`Overlay layout for "${key}" has an invalid anchor`, { key, anchor: layout?.anchor });
+      }
+    }
+  }
 }
 
 // Actions CRUD Operations
+// Definitions live under StorageKeys.ACTIONS; per-tab run state, which changes on every run,
+// lives under StorageKeys.INSTANCES as { [actionId]: { [tabId]: instance } }.
 
 /**
- * Get all actions from storage
+ * Get all actions from storage, with their per-tab run state joined in as `instances`
  * @returns {Promise<Action[]>} Array of actions
  * @throws {StorageError} When storage operation fails
  */
 export async function getActions() {
-  return executeWithRetry('getActions', async () => {
+  const [definitions, instances] = await Promise.all([getActionDefinitions(), getAllInstances()]);
+  return definitions.map(action => ({ ...action, instances: instances[action.id] || {} }));
+}
+
+/**
+ * Get all action definitions, without live tab state
+ * @returns {Promise<ActionDefinition[]>} Array of action definitions
+ * @throws {StorageError} When storage operation fails
+ */
+export async function getActionDefinitions() {
+  return executeWithRetry('getActionDefinitions', async () => {
     const result = await chrome.storage.local.get(StorageKeys.ACTIONS);
     const actions = result[StorageKeys.ACTIONS];
     
@@ -185,10 +533,40 @@ export async function getActions() {
       }
     });
     
-    return validActions;
+    return validActions.map(stripInstances);
+  });
+}
+
+/**
+ * Drop the run state from an action, leaving its definition
+ * @param {Action|ActionDefinition} action - Action, possibly joined with instances
+ * @returns {ActionDefinition} Action definition
+ */
+function stripInstances({ instances, ...definition }) {
+  return definition;
+}
+
+/**
+ * Get the run state of every action
+ * @returns {Promise<ActionInstances>} Instances keyed by action ID, then tab ID
+ * @throws {StorageError} When storage operation fails
+ */
+async function getAllInstances() {
+  return executeWithRetry('getAllInstances', async () => {
+    const result = await chrome.storage.local.get(StorageKeys.INSTANCES);
+    return result[StorageKeys.INSTANCES] || {};
   });
 }
 
+/**
+ * Write the run state of every action; only for use inside a queued operation
+ * @param {ActionInstances} instances - Instances keyed by action ID, then tab ID
+ * @returns {Promise<void>}
+ */
+async function writeInstances(instances) {
+  await chrome.storage.local.set({ [StorageKeys.INSTANCES]: instances });
+}
+
 /**
  * Save actions array to storage
  * @param {Action[]} actions - Actions to save
@@ -204,8 +582,24 @@ export async function saveActions(actions) {
   // Validate all actions before saving
   actions.forEach(validateAction);
   
-  return executeWithRetry('saveActions', async () => {
-    await chrome.storage.local.set({ [StorageKeys.ACTIONS]: actions });
+  return executeQueued('saveActions', () => writeActions(actions));
+}
+
+/**
+ * Write action definitions, dropping run state left behind by actions that no longer exist;
+ * only for use inside a queued operation
+ * @param {Array<Action|ActionDefinition>} actions - Validated actions
+ * @returns {Promise<void>}
+ */
+async function writeActions(actions) {
+  const ids = new Set(actions.map(action => action.id));
+  const instances = await getAllInstances();
+  const orphaned = Object.keys(instances).filter(id => !ids.has(id));
+  orphaned.forEach(id => delete instances[id]);
+  
+  await chrome.storage.local.set({
+    [StorageKeys.ACTIONS]: actions.map(stripInstances),
+    ...(orphaned.length > 0 && { [StorageKeys.INSTANCES]: instances })
   });
 }
 
@@ -219,8 +613,8 @@ export async function saveActions(actions) {
 export async function addAction(action) {
   validateAction(action);
   
-  return executeWithRetry('addAction', async () => {
-    const actions = await getActions();
+  return executeQueued('addAction', async () => {
+    const actions = await getActionDefinitions();
     
     // Check for duplicate IDs
     if (actions.some(a => a.id === action.id)) {
@@ -228,7 +622,7 @@ export async function addAction(action) {
     }
     
     actions.push(action);
-    await saveActions(actions);
+    await writeActions(actions);
     return actions;
   });
 }
@@ -246,8 +640,8 @@ export async function updateAction(actionId, updates) {
     throw new ValidationError('actionId must be a non-empty string');
   }
   
-  return executeWithRetry('updateAction', async () => {
-    const actions = await getActions();
+  return executeQueued('updateAction', async () => {
+    const actions = await getActionDefinitions();
     const index = actions.findIndex(a => a.id === actionId);
     
     if (index === -1) {
@@ -259,7 +653,7 @@ export async function updateAction(actionId, updates) {
     validateAction(updatedAction);
     
     actions[index] = updatedAction;
-    await saveActions(actions);
+    await writeActions(actions);
     return actions;
   });
 }
@@ -275,17 +669,20 @@ export async function deleteAction(actionId) {
     throw new ValidationError('actionId must be a non-empty string');
   }
   
-  return executeWithRetry('deleteAction', async () => {
-    const actions = await getActions();
+  const remaining = await executeQueued('deleteAction', async () => {
+    const actions = await getActionDefinitions();
     const filtered = actions.filter(a => a.id !== actionId);
     
     if (filtered.length === actions.length) {
       console.warn(`Action ${actionId} not found for deletion`);
     }
     
-    await saveActions(filtered);
+    await writeActions(filtered);
     return filtered;
   });
+  
+  await clearStats(actionId);
+  return remaining;
 }
 
 // Instance Management
@@ -295,11 +692,13 @@ export async function deleteAction(actionId) {
  * @param {string} actionId - Action ID
  * @param {number} tabId - Tab ID
  * @param {string} tabTitle - Tab title
- * @returns {Promise<Action|null>} Updated action or null
+ * @param {Object} [options]
+ * @param {boolean} [options.autoAttached=false] - Instance was created by a URL-bound action
+ * @returns {Promise<Action>} The action with its updated instances
  * @throws {StorageError} When storage operation fails
  * @throws {ValidationError} When limits exceeded
  */
-export async function addActionInstance(actionId, tabId, tabTitle) {
+export async function addActionInstance(actionId, tabId, tabTitle, { autoAttached = false } = {}) {
   if (!actionId || typeof actionId !== 'string') {
     throw new ValidationError('actionId must be a non-empty string');
   }
@@ -308,36 +707,35 @@ export async function addActionInstance(actionId, tabId, tabTitle) {
     throw new ValidationError('tabId must be a positive number');
   }
   
-  return executeWithRetry('addActionInstance', async () => {
-    const actions = await getActions();
-    const action = actions.find(a => a.id === actionId);
+  return executeQueued('addActionInstance', async () => {
+    const action = (await getActionDefinitions()).find(a => a.id === actionId);
     
     if (!action) {
       throw new ValidationError(`Action ${actionId} not found`);
     }
 
-    if (!action.instances) {
-      action.instances = {};
-    }
+    const instances = await getAllInstances();
+    const actionInstances = instances[actionId] || (instances[actionId] = {});
 
     // Check max instances limit
-    const currentCount = Object.keys(action.instances).length;
-    if (currentCount >= MAX_INSTANCES_PER_ACTION && !action.instances[tabId]) {
+    const currentCount = Object.keys(actionInstances).length;
+    if (currentCount >= MAX_INSTANCES_PER_ACTION && !actionInstances[tabId]) {
       throw new ValidationError(
         `Max ${MAX_INSTANCES_PER_ACTION} tabs per action`,
         { currentCount, max: MAX_INSTANCES_PER_ACTION }
       );
     }
 
-    action.instances[tabId] = {
+    actionInstances[tabId] = {
       enabled: true,
       executionCount: 0,
       startedAt: Date.now(),
-      tabTitle: tabTitle || `Tab ${tabId}`
+      tabTitle: tabTitle || `Tab ${tabId}`,
+      ...(autoAttached && { autoAttached: true })
     };
 
-    await saveActions(actions);
-    return action;
+    await writeInstances(instances);
+    return { ...action, instances: actionInstances };
   });
 }
 
@@ -345,21 +743,23 @@ export async function addActionInstance(actionId, tabId, tabTitle) {
  * Remove an action instance for a specific tab
  * @param {string} actionId - Action ID
  * @param {number} tabId - Tab ID
- * @returns {Promise<Action|null>} Updated action or null
+ * @returns {Promise<Record<string, import('./types').ActionInstance>|null>} The action's remaining instances, or null if there was none on that tab
  * @throws {StorageError} When storage operation fails
  */
 export async function removeActionInstance(actionId, tabId) {
-  return executeWithRetry('removeActionInstance', async () => {
-    const actions = await getActions();
-    const action = actions.find(a => a.id === actionId);
+  return executeQueued('removeActionInstance', async () => {
+    const instances = await getAllInstances();
     
-    if (!action || !action.instances) {
+    if (!instances[actionId]?.[tabId]) {
       return null;
     }
 
-    delete action.instances[tabId];
-    await saveActions(actions);
-    return action;
+    delete instances[actionId][tabId];
+    if (Object.keys(instances[actionId]).length === 0) {
+      delete instances[actionId];
+    }
+    await writeInstances(instances);
+    return instances[actionId] || {};
   });
 }
 
@@ -368,21 +768,20 @@ export async function removeActionInstance(actionId, tabId) {
  * @param {string} actionId - Action ID
  * @param {number} tabId - Tab ID
  * @param {Partial<import('./types').ActionInstance>} updates - Fields to update
- * @returns {Promise<Action|null>} Updated action or null
+ * @returns {Promise<import('./types').ActionInstance|null>} Updated instance or null
  * @throws {StorageError} When storage operation fails
  */
 export async function updateActionInstance(actionId, tabId, updates) {
-  return executeWithRetry('updateActionInstance', async () => {
-    const actions = await getActions();
-    const action = actions.find(a => a.id === actionId);
+  return executeQueued('updateActionInstance', async () => {
+    const instances = await getAllInstances();
     
-    if (!action || !action.instances || !action.instances[tabId]) {
+    if (!instances[actionId]?.[tabId]) {
       return null;
     }
 
-    action.instances[tabId] = { ...action.instances[tabId], ...updates };
-    await saveActions(actions);
-    return action;
+    instances[actionId][tabId] = { ...instances[actionId][tabId], ...updates };
+    await writeInstances(instances);
+    return instances[actionId][tabId];
   });
 }
 
@@ -393,11 +792,8 @@ export async function updateActionInstance(actionId, tabId, updates) {
  * @throws {StorageError} When storage operation fails
  */
 export async function getActionInstances(actionId) {
-  return executeWithRetry('getActionInstances', async () => {
-    const actions = await getActions();
-    const action = actions.find(a => a.id === actionId);
-    return action?.instances || {};
-  });
+  const instances = await getAllInstances();
+  return instances[actionId] || {};
 }
 
 /**
@@ -436,14 +832,17 @@ export async function saveProfile(profile) {
     throw new ValidationError('Profile must have id and name');
   }
   
-  return executeWithRetry('saveProfile', async () => {
+  // Profiles hold definitions only
+  const stored = { ...profile, actions: (profile.actions || []).map(stripInstances) };
+  
+  return executeQueued('saveProfile', async () => {
     const profiles = await getProfiles();
     const index = profiles.findIndex(p => p.id === profile.id);
     
     if (index !== -1) {
-      profiles[index] = profile;
+      profiles[index] = stored;
     } else {
-      profiles.push(profile);
+      profiles.push(stored);
     }
     
     await chrome.storage.local.set({ [StorageKeys.PROFILES]: profiles });
@@ -458,7 +857,7 @@ export async function saveProfile(profile) {
  * @throws {StorageError} When storage operation fails
  */
 export async function deleteProfile(profileId) {
-  return executeWithRetry('deleteProfile', async () => {
+  return executeQueued('deleteProfile', async () => {
     const profiles = await getProfiles();
     const filtered = profiles.filter(p => p.id !== profileId);
     await chrome.storage.local.set({ [StorageKeys.PROFILES]: filtered });
@@ -473,12 +872,13 @@ export async function deleteProfile(profileId) {
  * @throws {StorageError} When storage operation fails
  */
 export async function loadProfile(profileId) {
-  return executeWithRetry('loadProfile', async () => {
+  return executeQueued('loadProfile', async () => {
     const profiles = await getProfiles();
     const profile = profiles.find(p => p.id === profileId);
     
     if (profile) {
-      await saveActions(profile.actions);
+      profile.actions.forEach(validateAction);
+      await writeActions(profile.actions);
       await chrome.storage.local.set({ [StorageKeys.ACTIVE_PROFILE]: profileId });
     }
     
@@ -511,7 +911,7 @@ export async function getSettings() {
 export async function saveSettings(settings) {
   validateSettings(settings);
   
-  return executeWithRetry('saveSettings', async () => {
+  return executeQueued('saveSettings', async () => {
     const current = await getSettings();
     const updated = { ...current, ...settings };
     await chrome.storage.local.set({ [StorageKeys.SETTINGS]: updated });
@@ -544,7 +944,9 @@ export async function addLog(logEntry) {
     throw new ValidationError('logEntry must be an object');
   }
   
-  return executeWithRetry('addLog', async () => {
+  validateLogDetails(logEntry);
+  
+  return executeQueued('addLog', async () => {
     const settings = await getSettings();
     let logs = await getLogs();
     
@@ -565,17 +967,124 @@ export async function addLog(logEntry) {
   });
 }
 
+/**
+ * Validate the outcome and run details of a log entry
+ * @param {Omit<LogEntry, 'timestamp'>} logEntry - Log entry data
+ * @throws {ValidationError} When the outcome, URL, duration or drift is invalid
+ */
+function validateLogDetails(logEntry) {
+  if (logEntry.outcome != null && !['success', 'skipped', 'error', 'info'].includes(logEntry.outcome)) {
+    throw new ValidationError('Log outcome must be success, skipped, error or info', { outcome: logEntry.outcome });
+  }
+  
+  if (logEntry.url != null && typeof logEntry.url !== 'string') {
+    throw new ValidationError('Log URL must be a string', { url: logEntry.url });
+  }
+  
+  if (logEntry.durationMs != null && (!Number.isFinite(logEntry.durationMs) || logEntry.durationMs < 0)) {
+    throw new ValidationError('Log duration must be a number >= 0', { durationMs: logEntry.durationMs });
+  }
+  
+  if (logEntry.driftMs != null && !Number.isFinite(logEntry.driftMs)) {
+    throw new ValidationError('Log drift must be a number or null', { driftMs: logEntry.driftMs });
+  }
+}
+
 /**
  * Clear all logs
  * @returns {Promise<void>}
  * @throws {StorageError} When storage operation fails
  */
 export async function clearLogs() {
-  return executeWithRetry('clearLogs', async () => {
+  return executeQueued('clearLogs', async () => {
     await chrome.storage.local.set({ [StorageKeys.LOGS]: [] });
   });
 }
 
+// Execution Stats
+
+/**
+ * Get execution stats for every action
+ * @returns {Promise<ActionStats>} Stats keyed by action ID, then tab ID
+ * @throws {StorageError} When storage operation fails
+ */
+export async function getStats() {
+  return executeWithRetry('getStats', async () => {
+    const result = await chrome.storage.local.get(StorageKeys.STATS);
+    return result[StorageKeys.STATS] || {};
+  });
+}
+
+/**
+ * Fold one run into its action's stats for that tab
+ * @param {RunSample} sample - Run outcome, duration and drift
+ * @returns {Promise<ActionStats>} Updated stats
+ * @throws {StorageError} When storage operation fails
+ * @throws {ValidationError} When the sample is invalid
+ */
+export async function recordRunStats(sample) {
+  validateRunSample(sample);
+  
+  return executeQueued('recordRunStats', async () => {
+    const stats = await getStats();
+    const { actionId, tabId, ...run } = sample;
+    const actionStats = stats[actionId] || (stats[actionId] = {});
+    actionStats[tabId] = applyRunSample(actionStats[tabId], { at: Date.now(), ...run });
+    
+    await chrome.storage.local.set({ [StorageKeys.STATS]: stats });
+    return stats;
+  });
+}
+
+/**
+ * Validate a run before it is counted
+ * @param {RunSample} sample - Run to validate
+ * @throws {ValidationError} When the action, tab, outcome, duration or drift is invalid
+ */
+function validateRunSample(sample) {
+  if (!sample || typeof sample !== 'object') {
+    throw new ValidationError('Run sample must be an object');
+  }
+  
+  if (!sample.actionId || typeof sample.actionId !== 'string' || !Number.isInteger(sample.tabId)) {
+    throw new ValidationError('Run sample must have an action ID and a tab ID', {
+      actionId: sample.actionId,
+      tabId: sample.tabId
+    });
+  }
+  
+  if (!['success', 'skipped', 'error'].includes(sample.outcome)) {
+    throw new ValidationError('Run outcome must be success, skipped or error', { outcome: sample.outcome });
+  }
+  
+  if (sample.durationMs != null && (!Number.isFinite(sample.durationMs) || sample.durationMs < 0)) {
+    throw new ValidationError('Run duration must be a number >= 0', { durationMs: sample.durationMs });
+  }
+  
+  if (sample.driftMs != null && !Number.isFinite(sample.driftMs)) {
+    throw new ValidationError('Run drift must be a number or null', { driftMs: sample.driftMs });
+  }
+}
+
+/**
+ * Clear one action's stats, or everything when no action is given
+ * @param {string|null} [actionId] - Action whose stats to drop
+ * @returns {Promise<void>}
+ * @throws {StorageError} When storage operation fails
+ */
+export async function clearStats(actionId = null) {
+  return executeQueued('clearStats', async () => {
+    if (!actionId) {
+      await chrome.storage.local.set({ [StorageKeys.STATS]: {} });
+      return;
+    }
+    const stats = await getStats();
+    if (!stats[actionId]) return;
+    delete stats[actionId];
+    await chrome.storage.local.set({ [StorageKeys.STATS]: stats });
+  });
+}
+
 // Import/Export
 
 /**
@@ -586,13 +1095,14 @@ export async function clearLogs() {
 export async function exportData() {
   return executeWithRetry('exportData', async () => {
     const [actions, profiles, settings] = await Promise.all([
-      getActions(),
+      getActionDefinitions(),
       getProfiles(),
       getSettings()
     ]);
     
     return {
       version: '1.1.0',
+      schemaVersion: SCHEMA_VERSION,
       exportedAt: new Date().toISOString(),
       actions,
       profiles,
@@ -602,7 +1112,8 @@ export async function exportData() {
 }
 
 /**
- * Import data from export object
+ * Import data from export object. Older backups are upgraded by the same migrations
+ * that run on extension update; per-tab run state is never imported.
  * @param {ExportData} data - Data to import
  * @returns {Promise<boolean>} True on success
  * @throws {StorageError} When storage operation fails
@@ -623,24 +1134,30 @@ export async function importData(data) {
     console.warn(`Importing from different major version: ${data.version}`);
   }
   
-  return executeWithRetry('importData', async () => {
-    // Validate arrays
-    if (data.actions && !Array.isArray(data.actions)) {
-      throw new ValidationError('actions must be an array');
-    }
-    if (data.profiles && !Array.isArray(data.profiles)) {
-      throw new ValidationError('profiles must be an array');
-    }
-    
-    // Validate all actions before importing
-    if (data.actions) {
-      data.actions.forEach(validateAction);
-    }
-    
+  // Validate arrays
+  if (data.actions && !Array.isArray(data.actions)) {
+    throw new ValidationError('actions must be an array');
+  }
+  if (data.profiles && !Array.isArray(data.profiles)) {
+    throw new ValidationError('profiles must be an array');
+  }
+  
+  let migrated;
+  try {
+    migrated = migrateData(data, data.schemaVersion || 0);
+  } catch (error) {
+    throw new ValidationError(error.message, { schemaVersion: data.schemaVersion });
+  }
+  
+  // Validate all actions before importing
+  migrated.actions.forEach(validateAction);
+  
+  return executeQueued('importData', async () => {
     await chrome.storage.local.set({
-      [StorageKeys.ACTIONS]: data.actions || [],
-      [StorageKeys.PROFILES]: data.profiles || [],
-      [StorageKeys.SETTINGS]: { ...DEFAULT_SETTINGS, ...(data.settings || {}) }
+      [StorageKeys.ACTIONS]: migrated.actions,
+      [StorageKeys.PROFILES]: migrated.profiles,
+      [StorageKeys.SETTINGS]: { ...DEFAULT_SETTINGS, ...(migrated.settings || {}) },
+      [StorageKeys.SCHEMA_VERSION]: SCHEMA_VERSION
     });
     
     return true;
@@ -653,7 +1170,7 @@ export async function importData(data) {
  * @throws {StorageError} When storage operation fails
  */
 export async function clearAllData() {
-  return executeWithRetry('clearAllData', async () => {
+  return executeQueued('clearAllData', async () => {
     await chrome.storage.local.clear();
   });
 }
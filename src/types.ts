@@ -4,17 +4,98 @@
  */
 
 /** Supported action types */
-export type ActionType = 'key' | 'mouse';
+export type ActionType = 'key' | 'mouse' | 'text' | 'macro';
+
+/** Step types inside a macro action */
+export type MacroStepType = 'key' | 'mouse' | 'text' | 'wait';
 
 /** Supported time units */
 export type TimeUnit = 'milliseconds' | 'seconds' | 'minutes' | 'hours';
 
+export type IntervalMode = 'fixedDelay' | 'fixedRate';
+
 /** Supported mouse actions */
 export type MouseAction = 'leftClick' | 'rightClick' | 'middleClick' | 'doubleClick';
 
+/** Where a mouse action lands */
+export type ClickPositionMode = 'viewport' | 'offset';
+
+/** Click coordinates: viewport pixels, or an offset from the target's top-left corner */
+export interface ClickPosition {
+  mode: ClickPositionMode;
+  x: number;
+  y: number;
+}
+
 /** Modifier keys */
 export type Modifier = 'Ctrl' | 'Alt' | 'Shift' | 'Meta';
 
+/** Locator strategies for targeting an element */
+export type TargetStrategy = 'css' | 'xpath' | 'text';
+
+/** Element locator resolved in the page at execution time */
+export interface ElementTarget {
+  strategy: TargetStrategy;
+  value: string;
+}
+
+/** Condition a precondition waits for */
+export type WaitCondition = 'exists' | 'visible' | 'containsText';
+
+/** What happens when a precondition times out: skip the run, retry it shortly, or stop the instance */
+export type WaitTimeoutOutcome = 'skip' | 'retry' | 'stop';
+
+/** Precondition checked in the page before an action or macro step runs */
+export interface WaitFor extends ElementTarget {
+  condition: WaitCondition;
+  /** Text the element must contain when condition is 'containsText' */
+  text?: string | null;
+  /** How long to keep checking, in ms */
+  timeout: number;
+  onTimeout: WaitTimeoutOutcome;
+}
+
+/** Page events that can fire an action instead of a timer */
+export type TriggerType = 'elementAppears' | 'textMatches' | 'urlChange' | 'pageLoad';
+
+/** Event trigger; elementAppears carries a locator, textMatches a case-insensitive regex */
+export interface Trigger {
+  type: TriggerType;
+  strategy?: TargetStrategy;
+  value?: string;
+  pattern?: string;
+}
+
+/** Pattern syntax of a URL filter */
+export type UrlFilterMode = 'match' | 'glob' | 'regex';
+
+/** Tab URL filter: matches when any include entry matches (or there are none) and no exclude entry does */
+export interface UrlFilter {
+  mode: UrlFilterMode;
+  include: string[];
+  exclude: string[];
+}
+
+/** Which frames an action runs in */
+export type FrameMode = 'top' | 'all' | 'url' | 'selector';
+
+/** Frame targeting; url mode carries a Chrome match pattern, selector mode looks for the action's locator */
+export interface FrameTarget {
+  mode: FrameMode;
+  url?: string;
+}
+
+/** Why an instance stopped counting down without being stopped */
+export type PauseReason = 'user' | 'userInput';
+
+/** Frame the last run of an instance landed in */
+export interface FrameInfo {
+  frameId: number;
+  url: string | null;
+  /** Frames the run succeeded in (all-frames mode) */
+  count: number;
+}
+
 /** Key information for keyboard events */
 export interface KeyInfo {
   code: string;
@@ -30,6 +111,29 @@ export interface ActionInstance {
   tabTitle: string;
   nextExecution?: number;
   lastExecuted?: number;
+  /** Set while the instance is paused; counters are kept and remainingMs resumes the countdown */
+  paused?: { reason: PauseReason; at: number; remainingMs: number | null } | null;
+  /** Set after runs of actions that target frames other than the top one */
+  frame?: FrameInfo;
+  /** Created because the tab matched a URL-bound action, not started by hand */
+  autoAttached?: boolean;
+}
+
+/** One step of a macro, run after waiting `delay` ms */
+export interface MacroStep {
+  type: MacroStepType;
+  delay: number;
+  key?: string;
+  keyInfo?: KeyInfo;
+  modifiers?: Modifier[];
+  mouseAction?: MouseAction;
+  clickPosition?: ClickPosition | null;
+  target?: ElementTarget | null;
+  waitFor?: WaitFor | null;
+  text?: string;
+  /** Pause between typed characters, in ms */
+  charDelay?: number;
+  duration?: number;
 }
 
 /** Main action structure */
@@ -41,26 +145,67 @@ export interface Action {
   keyInfo?: KeyInfo;
   mouseAction?: MouseAction;
   modifiers: Modifier[];
+  target?: ElementTarget | null;
+  waitFor?: WaitFor | null;
+  /** Frames to run in; the top frame when unset */
+  frame?: FrameTarget | null;
+  clickPosition?: ClickPosition | null;
+  /** String typed by text actions, one character at a time */
+  text?: string | null;
+  charDelay?: number | null;
+  steps?: MacroStep[] | null;
+  /** Cron or calendar ("daily at 08:30") expression; replaces the interval when set */
+  schedule?: string | null;
+  /** Page event that fires the action; replaces the interval and schedule when set */
+  trigger?: Trigger | null;
   interval: number;
   timeUnit: TimeUnit;
   randomize: boolean;
   randomizeMin: number;
   randomizeMax: number;
-  urlFilter: string | null;
+  /** Fixed delay (default) times the next run from the end of the last one; fixed rate from its planned time */
+  intervalMode?: IntervalMode;
+  /** Legacy actions hold a comma-separated substring list */
+  urlFilter: UrlFilter | string | null;
+  /** Run on every open tab whose URL matches urlFilter, reattaching across restarts */
+  autoAttach?: boolean;
   repeatLimit: number | null;
   timeLimit: number | null;
+  /** Per-tab run state, joined in by getActions(); stored apart under actionInstances, never with the definition */
   instances: Record<string, ActionInstance>;
   createdAt: number;
 }
 
+/** An action as profiles and exports hold it, without live tab state */
+export type ActionDefinition = Omit<Action, 'instances'>;
+
+/** Stored under the actionInstances key: { [actionId]: { [tabId]: instance } } */
+export type ActionInstances = Record<string, Record<string, ActionInstance>>;
+
 /** Profile structure for saving/loading action sets */
 export interface Profile {
   id: string;
   name: string;
-  actions: Action[];
+  actions: ActionDefinition[];
   createdAt: number;
 }
 
+/** Missed-run handling: drop them, run once, or replay each (capped) */
+export type MissedRunPolicy = 'skip' | 'once' | 'catchup';
+
+export type OverlayLayoutScope = 'origin' | 'global';
+
+/** Viewport corner the overlay is pinned to */
+export type OverlayAnchor = 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right';
+
+/** Where the overlay sits: pixel offsets from its anchor corner's edges */
+export interface OverlayLayout {
+  anchor: OverlayAnchor;
+  x: number;
+  y: number;
+  minimized: boolean;
+}
+
 /** Extension settings */
 export interface Settings {
   theme: 'dark' | 'light';
@@ -69,6 +214,14 @@ export interface Settings {
   globalEnabled: boolean;
   showOverlay: boolean;
   maxLogs: number;
+  /** What to do with runs that fell due while the browser was closed or asleep */
+  missedRunPolicy: MissedRunPolicy;
+  /** Emergency stop: real keyboard or mouse input pauses every action on that tab */
+  pauseOnUserInput: boolean;
+  /** Remember the overlay's position per origin, or share one across every site */
+  overlayLayoutScope: OverlayLayoutScope;
+  /** Saved overlay layouts by origin, or under "*" for the shared one */
+  overlayLayouts: Record<string, OverlayLayout>;
 }
 
 /** Default settings values */
@@ -78,7 +231,11 @@ export const DEFAULT_SETTINGS: Settings = {
   sound: false,
   globalEnabled: true,
   showOverlay: true,
-  maxLogs: 100
+  maxLogs: 1000,
+  missedRunPolicy: 'once',
+  pauseOnUserInput: false,
+  overlayLayoutScope: 'origin',
+  overlayLayouts: {}
 };
 
 /** Log entry structure */
@@ -87,19 +244,91 @@ export interface LogEntry {
   actionName: string;
   type: ActionType;
   key?: string;
+  /** Missing on entries written before outcomes were recorded; derive it from `success` */
+  outcome?: LogOutcome;
   success: boolean;
-  error?: string;
+  /** What happened, for anything but a plain successful run */
+  error?: string | null;
   timestamp: number;
   tabId?: number;
+  /** Page URL at the time of the run */
+  url?: string;
+  /** How long the run took, injection included */
+  durationMs?: number;
+  /** How late the run fired compared to its planned time; null for triggers. Run-now requests are measured from when they were made */
+  driftMs?: number | null;
+}
+
+/** success: the run completed; skipped: it didn't run (or a step didn't); info: pauses, closed tabs and the like */
+export type LogOutcome = 'success' | 'skipped' | 'error' | 'info';
+
+/** Execution statistics for one action on one tab, stored as actionStats[actionId][tabId] */
+export interface TabStats {
+  /** Runs that executed, successful or not; skips are counted separately */
+  runs: number;
+  successes: number;
+  failures: number;
+  skips: number;
+  totalDurationMs: number;
+  /** Scheduling drift (fire time minus planned nextExecution); triggers add no sample, run-now requests are measured from the request */
+  driftSamples: number;
+  totalDriftMs: number;
+  maxDriftMs: number;
+  /** Runs per hour, keyed by the hour's start timestamp; only the last 24 hours are kept */
+  hourly: Record<string, number>;
+  url: string | null;
+  firstRunAt: number | null;
+  lastRunAt: number | null;
+}
+
+export type ActionStats = Record<string, Record<string, TabStats>>;
+
+/** One run to fold into an action's stats for a tab; info events are logged but never counted */
+export interface RunSample {
+  actionId: string;
+  tabId: number;
+  outcome: Exclude<LogOutcome, 'info'>;
+  /** When the run happened; defaults to the time it is recorded */
+  at?: number;
+  durationMs?: number;
+  driftMs?: number | null;
+  url?: string;
 }
 
 /** Timer information for active actions */
 export interface TimerInfo {
-  timerId: ReturnType<typeof setTimeout>;
+  timerId: ReturnType<typeof setTimeout> | null;
+  /** chrome.alarms name when the run is far enough out to survive worker shutdown */
+  alarmName: string | null;
   nextExecution: number;
-  intervalMs: number;
+  /** The slot this run stands in for (differs from nextExecution for retries); fixed-rate intervals continue from it */
+  plannedAt: number;
+  /** Extra missed runs still to replay after this one */
+  catchUpRuns: number;
+  /** Consecutive retries after a precondition timed out */
+  waitRetries: number;
   actionId: string;
   tabId: number;
+  running?: boolean;
+}
+
+/** Countdown for one instance as shown by the overlay */
+export interface Countdown {
+  /** null while an event trigger is armed */
+  nextExecution: number | null;
+  remaining: number | null;
+  running: boolean;
+  waitingForTrigger?: boolean;
+}
+
+/** Pushed over the "overlay" port whenever a schedule on the tab changes */
+export interface OverlayStatus {
+  type: 'STATUS';
+  tabId: number;
+  /** Actions with an enabled instance on this tab */
+  actions: Action[];
+  /** actionId -> tabId -> countdown */
+  countdowns: Record<string, Record<number, Countdown>>;
 }
 
 /** AI Response types for step templates */
@@ -118,6 +347,7 @@ export type MessageType =
   | 'STOP_ACTION_ON_TAB'
   | 'GET_ACTION_INSTANCES'
   | 'REFRESH_TIMERS'
+  | 'ATTACH_ACTION'
   | 'TOGGLE_GLOBAL'
   | 'GET_STATUS'
   | 'GET_COUNTDOWN'
@@ -129,7 +359,66 @@ export type MessageType =
   | 'GET_MY_TAB_ID'
   | 'OVERLAY_HIDDEN'
   | 'SHOW_OVERLAY'
-  | 'HIDE_OVERLAY';
+  | 'HIDE_OVERLAY'
+  | 'START_PICKER'
+  | 'STOP_PICKER'
+  | 'PICKER_RESULT'
+  | 'PICKER_CANCELLED'
+  | 'START_RECORDING'
+  | 'STOP_RECORDING'
+  | 'RECORDING_RESULT'
+  | 'REGISTER_TRIGGER'
+  | 'UNREGISTER_TRIGGER'
+  | 'TRIGGER_FIRED'
+  | 'PAUSE_TAB'
+  | 'RESUME_TAB'
+  | 'SET_INSTANCE_PAUSED'
+  | 'RUN_NOW'
+  | 'SKIP_NEXT_RUN'
+  | 'SAVE_OVERLAY_LAYOUT';
+
+/** Where a picked element should be applied once the popup reopens */
+export interface PickerContext {
+  form: 'add' | 'edit';
+  actionId?: string;
+  draft?: Record<string, unknown>;
+}
+
+/** Element picker hand-off state */
+export interface PickerState {
+  status: 'picking' | 'picked';
+  tabId: number;
+  context: PickerContext | null;
+  startedAt: number;
+  target?: ElementTarget;
+}
+
+/** A page event captured by the macro recorder */
+export interface RecordedEvent {
+  kind: 'key' | 'click' | 'dblclick' | 'input';
+  time: number;
+  selector: string | null;
+  key?: string;
+  code?: string;
+  modifiers?: { ctrl: boolean; alt: boolean; shift: boolean; meta: boolean };
+  button?: number;
+  inputType?: string;
+  data?: string | null;
+}
+
+/** Where recorded steps go once the popup reopens */
+export interface RecorderContext extends PickerContext {
+  steps?: MacroStep[];
+}
+
+/** Macro recorder hand-off state */
+export interface RecorderState {
+  status: 'recording' | 'recorded';
+  tabId: number;
+  context: RecorderContext | null;
+  startedAt: number;
+  events?: RecordedEvent[];
+}
 
 /** Message payload structure */
 export interface MessagePayload {
@@ -138,14 +427,29 @@ export interface MessagePayload {
   targetTabId?: number;
   tabId?: number;
   enabled?: boolean;
+  /** SET_INSTANCE_PAUSED: pause (true) or resume (false) */
+  paused?: boolean;
   visible?: boolean;
+  context?: PickerContext | RecorderContext;
+  target?: ElementTarget;
+  events?: RecordedEvent[];
+  /** Id of the action whose page trigger is registered or fired */
+  triggerId?: string;
+  trigger?: Trigger;
+  /** Why a tab is being paused */
+  reason?: PauseReason;
+  /** SAVE_OVERLAY_LAYOUT: an origin or "*" */
+  key?: string;
+  layout?: OverlayLayout;
 }
 
 /** Export data structure */
 export interface ExportData {
   version: string;
+  /** Storage schema the export was written with; missing on exports from before versioning (treated as 0) */
+  schemaVersion?: number;
   exportedAt: string;
-  actions: Action[];
+  actions: ActionDefinition[];
   profiles: Profile[];
   settings: Settings;
 }
@@ -153,10 +457,15 @@ export interface ExportData {
 /** Storage keys enumeration */
 export enum StorageKeys {
   ACTIONS = 'actions',
+  INSTANCES = 'actionInstances',
   PROFILES = 'profiles',
   SETTINGS = 'settings',
   ACTIVE_PROFILE = 'activeProfile',
-  LOGS = 'actionLogs'
+  LOGS = 'actionLogs',
+  STATS = 'actionStats',
+  PICKER = 'pickerState',
+  RECORDER = 'recorderState',
+  SCHEMA_VERSION = 'schemaVersion'
 }
 
 /** Error types for better error handling */
@@ -0,0 +1,101 @@
+// Execution statistics, kept per action and per tab under the "actionStats" storage key:
+// { [actionId]: { [tabId]: TabStats } }. Runs are counted into hourly buckets for the last day.
+
+export const STATS_HOURS = 24;
+const HOUR_MS = 3600000;
+
+export function createTabStats() {
+    return {
+        runs: 0,
+        successes: 0,
+        failures: 0,
+        skips: 0,
+        totalDurationMs: 0,
+        driftSamples: 0,
+        totalDriftMs: 0,
+        maxDriftMs: 0,
+        hourly: {},
+        url: null,
+        firstRunAt: null,
+        lastRunAt: null
+    };
+}
+
+// Fold one run into a tab's stats. A sample is { outcome, at, durationMs, driftMs, url };
+// skipped runs never executed, so they only add to the skip count.
+export function applyRunSample(tabStats, sample) {
+    const stats = { ...createTabStats(), ...tabStats, hourly: { ...tabStats?.hourly } };
+    stats.url = sample.url || stats.url;
+
+    if (sample.outcome === 'skipped') {
+        stats.skips++;
+        return stats;
+    }
+
+    stats.runs++;
+    if (sample.outcome === 'success') stats.successes++;
+    else stats.failures++;
+    stats.totalDurationMs += sample.durationMs || 0;
+    if (Number.isFinite(sample.driftMs)) {
+        stats.driftSamples++;
+        stats.totalDriftMs += sample.driftMs;
+        stats.maxDriftMs = Math.max(stats.maxDriftMs, sample.driftMs);
+    }
+
+    const hour = Math.floor(sample.at / HOUR_MS) * HOUR_MS;
+    stats.hourly[hour] = (stats.hourly[hour] || 0) + 1;
+    for (const key of Object.keys(stats.hourly)) {
+        if (Number(key) <= hour - STATS_HOURS * HOUR_MS) delete stats.hourly[key];
+    }
+
+    stats.firstRunAt = stats.firstRunAt || sample.at;
+    stats.lastRunAt = sample.at;
+    return stats;
+}
+
+// Add up several tabs' stats, e.g. for an action's total across tabs
+export function mergeTabStats(list) {
+    return list.reduce((total, stats) => {
+        const hourly = { ...total.hourly };
+        for (const [hour, count] of Object.entries(stats.hourly || {})) {
+            hourly[hour] = (hourly[hour] || 0) + count;
+        }
+        return {
+            ...total,
+            runs: total.runs + stats.runs,
+            successes: total.successes + stats.successes,
+            failures: total.failures + stats.failures,
+            skips: total.skips + stats.skips,
+            totalDurationMs: total.totalDurationMs + stats.totalDurationMs,
+            driftSamples: total.driftSamples + stats.driftSamples,
+            totalDriftMs: total.totalDriftMs + stats.totalDriftMs,
+            maxDriftMs: Math.max(total.maxDriftMs, stats.maxDriftMs),
+            hourly,
+            firstRunAt: [total.firstRunAt, stats.firstRunAt].filter(Boolean).sort((a, b) => a - b)[0] || null,
+            lastRunAt: Math.max(total.lastRunAt || 0, stats.lastRunAt || 0) || null
+        };
+    }, createTabStats());
+}
+
+// Derived numbers for display; ratios are null until there is something to divide
+export function summarizeStats(stats) {
+    return {
+        runs: stats.runs,
+        skips: stats.skips,
+        successRate: stats.runs ? stats.successes / stats.runs : null,
+        averageDriftMs: stats.driftSamples ? stats.totalDriftMs / stats.driftSamples : null,
+        maxDriftMs: stats.driftSamples ? stats.maxDriftMs : null,
+        totalDurationMs: stats.totalDurationMs
+    };
+}
+
+// Runs per hour for the last STATS_HOURS hours, oldest first
+export function getHourlySeries(stats, now = Date.now()) {
+    const currentHour = Math.floor(now / HOUR_MS) * HOUR_MS;
+    const series = [];
+    for (let i = STATS_HOURS - 1; i >= 0; i--) {
+        const hour = currentHour - i * HOUR_MS;
+        series.push({ hour, count: stats.hourly?.[hour] || 0 });
+    }
+    return series;
+}
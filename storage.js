@@ -1,11 +1,20 @@
 // Storage abstraction for Chrome extension
 
+import { applyRunSample } from './stats.js';
+import { SCHEMA_VERSION, migrateData } from './migrations.js';
+
 const STORAGE_KEYS = {
     ACTIONS: 'actions',
+    INSTANCES: 'actionInstances',
     PROFILES: 'profiles',
     SETTINGS: 'settings',
     ACTIVE_PROFILE: 'activeProfile',
-    LOGS: 'actionLogs'
+    LOGS: 'actionLogs',
+    STATS: 'actionStats',
+    PICKER: 'pickerState',
+    RECORDER: 'recorderState',
+    SCHEMA_VERSION: 'schemaVersion',
+    DETACHED: 'detachedTabs'
 };
 
 const DEFAULT_SETTINGS = {
@@ -14,94 +23,193 @@ const DEFAULT_SETTINGS = {
     sound: false,
     globalEnabled: true,
     showOverlay: true,
-    maxLogs: 100
+    maxLogs: 1000,
+    missedRunPolicy: 'once',
+    pauseOnUserInput: false,
+    overlayLayoutScope: 'origin',
+    overlayLayouts: {}
 };
 
+// chrome.storage has no transactions, and most helpers below read a whole key, change it and
+// write it back. Writes go through one queue, and each holds a Web Lock shared by every extension
+// context, so neither instances firing together in the service worker nor a popup save racing the
+// worker can overwrite each other's changes. Queued tasks must not call another exported writer,
+// or they would wait on themselves; use the write* helpers instead.
+const STORAGE_LOCK = 'ghostinput-storage';
+let writeQueue = Promise.resolve();
+
+function enqueueWrite(task) {
+    const result = writeQueue.then(() => withStorageLock(task));
+    writeQueue = result.catch(() => {});
+    return result;
+}
+
+function withStorageLock(task) {
+    const locks = globalThis.navigator?.locks;
+    return locks ? locks.request(STORAGE_LOCK, () => task()) : task();
+}
+
 // Actions CRUD
+// Definitions (what profiles and exports capture) live under "actions"; per-tab run state,
+// which changes on every run, lives under "actionInstances" as { [actionId]: { [tabId]: instance } }.
+// getActions() joins the two so callers still see action.instances.
 export async function getActions() {
+    const result = await chrome.storage.local.get([STORAGE_KEYS.ACTIONS, STORAGE_KEYS.INSTANCES]);
+    const instances = result[STORAGE_KEYS.INSTANCES] || {};
+    return (result[STORAGE_KEYS.ACTIONS] || []).map(action => ({ ...action, instances: instances[action.id] || {} }));
+}
+
+// Actions without their live tab state
+export async function getActionDefinitions() {
     const result = await chrome.storage.local.get(STORAGE_KEYS.ACTIONS);
-    return result[STORAGE_KEYS.ACTIONS] || [];
+    return (result[STORAGE_KEYS.ACTIONS] || []).map(stripInstances);
 }
 
-export async function saveActions(actions) {
-    await chrome.storage.local.set({ [STORAGE_KEYS.ACTIONS]: actions });
+function stripInstances({ instances, ...definition }) {
+    return definition;
 }
 
-export async function addAction(action) {
-    const actions = await getActions();
-    actions.push(action);
-    await saveActions(actions);
-    return actions;
+async function getAllInstances() {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.INSTANCES);
+    return result[STORAGE_KEYS.INSTANCES] || {};
 }
 
-export async function updateAction(actionId, updates) {
-    const actions = await getActions();
-    const index = actions.findIndex(a => a.id === actionId);
-    if (index !== -1) {
-        actions[index] = { ...actions[index], ...updates };
-        await saveActions(actions);
-    }
-    return actions;
+async function writeInstances(instances) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.INSTANCES]: instances });
 }
 
-export async function deleteAction(actionId) {
-    const actions = await getActions();
-    const filtered = actions.filter(a => a.id !== actionId);
-    await saveActions(filtered);
-    return filtered;
+// Writes definitions only, and drops run state left behind by actions that no longer exist
+async function writeActions(actions) {
+    const ids = new Set(actions.map(action => action.id));
+    const instances = await getAllInstances();
+    const orphaned = Object.keys(instances).filter(id => !ids.has(id));
+    orphaned.forEach(id => delete instances[id]);
+    await chrome.storage.local.set({
+        [STORAGE_KEYS.ACTIONS]: actions.map(stripInstances),
+        ...(orphaned.length > 0 && { [STORAGE_KEYS.INSTANCES]: instances })
+    });
 }
 
-// Instance management (multi-tab support)
-const MAX_INSTANCES_PER_ACTION = 5;
+// Bring stored data up to SCHEMA_VERSION (see migrations.js); data from before versioning counts as 0.
+// Resolves with the version the data was at.
+export function runMigrations() {
+    return enqueueWrite(async () => {
+        const result = await chrome.storage.local.get([
+            STORAGE_KEYS.ACTIONS, STORAGE_KEYS.PROFILES, STORAGE_KEYS.SETTINGS,
+            STORAGE_KEYS.INSTANCES, STORAGE_KEYS.SCHEMA_VERSION
+        ]);
+        const fromVersion = result[STORAGE_KEYS.SCHEMA_VERSION] || 0;
+        if (fromVersion >= SCHEMA_VERSION) return fromVersion;
+
+        const data = migrateData({
+            actions: result[STORAGE_KEYS.ACTIONS],
+            profiles: result[STORAGE_KEYS.PROFILES],
+            settings: result[STORAGE_KEYS.SETTINGS],
+            instances: result[STORAGE_KEYS.INSTANCES]
+        }, fromVersion);
+        await chrome.storage.local.set({
+            [STORAGE_KEYS.ACTIONS]: data.actions,
+            [STORAGE_KEYS.PROFILES]: data.profiles,
+            [STORAGE_KEYS.INSTANCES]: data.instances,
+            ...(data.settings && { [STORAGE_KEYS.SETTINGS]: data.settings }),
+            [STORAGE_KEYS.SCHEMA_VERSION]: SCHEMA_VERSION
+        });
+        return fromVersion;
+    });
+}
 
-export async function addActionInstance(actionId, tabId, tabTitle) {
-    const actions = await getActions();
-    const action = actions.find(a => a.id === actionId);
-    if (!action) return null;
+export function saveActions(actions) {
+    return enqueueWrite(() => writeActions(actions));
+}
 
-    if (!action.instances) action.instances = {};
+export function addAction(action) {
+    return enqueueWrite(async () => {
+        const actions = await getActions();
+        actions.push(action);
+        await writeActions(actions);
+        return actions;
+    });
+}
 
-    // Check max instances limit
-    const currentCount = Object.keys(action.instances).length;
-    if (currentCount >= MAX_INSTANCES_PER_ACTION && !action.instances[tabId]) {
-        return { error: `Max ${MAX_INSTANCES_PER_ACTION} tabs per action` };
-    }
+export function updateAction(actionId, updates) {
+    return enqueueWrite(async () => {
+        const actions = await getActions();
+        const index = actions.findIndex(a => a.id === actionId);
+        if (index !== -1) {
+            actions[index] = { ...actions[index], ...updates };
+            await writeActions(actions);
+        }
+        return actions;
+    });
+}
 
-    action.instances[tabId] = {
-        enabled: true,
-        executionCount: 0,
-        startedAt: Date.now(),
-        tabTitle: tabTitle || `Tab ${tabId}`
-    };
+export async function deleteAction(actionId) {
+    const filtered = await enqueueWrite(async () => {
+        const actions = (await getActions()).filter(a => a.id !== actionId);
+        await writeActions(actions);
+        return actions;
+    });
+    await clearStats(actionId);
+    return filtered;
+}
+
+// Instance management (multi-tab support)
+const MAX_INSTANCES_PER_ACTION = 5;
 
-    await saveActions(actions);
-    return action;
+// autoAttached marks instances created by a URL-bound action rather than started by hand
+export function addActionInstance(actionId, tabId, tabTitle, { autoAttached = false } = {}) {
+    return enqueueWrite(async () => {
+        const action = (await getActionDefinitions()).find(a => a.id === actionId);
+        if (!action) return null;
+
+        const instances = await getAllInstances();
+        const actionInstances = instances[actionId] || (instances[actionId] = {});
+
+        // Check max instances limit
+        const currentCount = Object.keys(actionInstances).length;
+        if (currentCount >= MAX_INSTANCES_PER_ACTION && !actionInstances[tabId]) {
+            return { error: `Max ${MAX_INSTANCES_PER_ACTION} tabs per action` };
+        }
+
+        actionInstances[tabId] = {
+            enabled: true,
+            executionCount: 0,
+            startedAt: Date.now(),
+            tabTitle: tabTitle || `Tab ${tabId}`,
+            ...(autoAttached && { autoAttached: true })
+        };
+
+        await writeInstances(instances);
+        return { ...action, instances: actionInstances };
+    });
 }
 
-export async function removeActionInstance(actionId, tabId) {
-    const actions = await getActions();
-    const action = actions.find(a => a.id === actionId);
-    if (!action || !action.instances) return null;
+export function removeActionInstance(actionId, tabId) {
+    return enqueueWrite(async () => {
+        const instances = await getAllInstances();
+        if (!instances[actionId]?.[tabId]) return null;
 
-    delete action.instances[tabId];
-    await saveActions(actions);
-    return action;
+        delete instances[actionId][tabId];
+        if (Object.keys(instances[actionId]).length === 0) delete instances[actionId];
+        await writeInstances(instances);
+        return instances[actionId] || {};
+    });
 }
 
-export async function updateActionInstance(actionId, tabId, updates) {
-    const actions = await getActions();
-    const action = actions.find(a => a.id === actionId);
-    if (!action || !action.instances || !action.instances[tabId]) return null;
+export function updateActionInstance(actionId, tabId, updates) {
+    return enqueueWrite(async () => {
+        const instances = await getAllInstances();
+        if (!instances[actionId]?.[tabId]) return null;
 
-    action.instances[tabId] = { ...action.instances[tabId], ...updates };
-    await saveActions(actions);
-    return action;
+        instances[actionId][tabId] = { ...instances[actionId][tabId], ...updates };
+        await writeInstances(instances);
+        return instances[actionId][tabId];
+    });
 }
 
 export async function getActionInstances(actionId) {
-    const actions = await getActions();
-    const action = actions.find(a => a.id === actionId);
-    return action?.instances || {};
+    const instances = await getAllInstances();
+    return instances[actionId] || {};
 }
 
 export async function hasActiveInstances(actionId) {
@@ -115,33 +223,39 @@ export async function getProfiles() {
     return result[STORAGE_KEYS.PROFILES] || [];
 }
 
-export async function saveProfile(profile) {
-    const profiles = await getProfiles();
-    const index = profiles.findIndex(p => p.id === profile.id);
-    if (index !== -1) {
-        profiles[index] = profile;
-    } else {
-        profiles.push(profile);
-    }
-    await chrome.storage.local.set({ [STORAGE_KEYS.PROFILES]: profiles });
-    return profiles;
+export function saveProfile(profile) {
+    return enqueueWrite(async () => {
+        const profiles = await getProfiles();
+        const index = profiles.findIndex(p => p.id === profile.id);
+        if (index !== -1) {
+            profiles[index] = profile;
+        } else {
+            profiles.push(profile);
+        }
+        await chrome.storage.local.set({ [STORAGE_KEYS.PROFILES]: profiles });
+        return profiles;
+    });
 }
 
-export async function deleteProfile(profileId) {
-    const profiles = await getProfiles();
-    const filtered = profiles.filter(p => p.id !== profileId);
-    await chrome.storage.local.set({ [STORAGE_KEYS.PROFILES]: filtered });
-    return filtered;
+export function deleteProfile(profileId) {
+    return enqueueWrite(async () => {
+        const profiles = await getProfiles();
+        const filtered = profiles.filter(p => p.id !== profileId);
+        await chrome.storage.local.set({ [STORAGE_KEYS.PROFILES]: filtered });
+        return filtered;
+    });
 }
 
-export async function loadProfile(profileId) {
-    const profiles = await getProfiles();
-    const profile = profiles.find(p => p.id === profileId);
-    if (profile) {
-        await saveActions(profile.actions);
-        await chrome.storage.local.set({ [STORAGE_KEYS.ACTIVE_PROFILE]: profileId });
-    }
-    return profile;
+export function loadProfile(profileId) {
+    return enqueueWrite(async () => {
+        const profiles = await getProfiles();
+        const profile = profiles.find(p => p.id === profileId);
+        if (profile) {
+            await writeActions(profile.actions);
+            await chrome.storage.local.set({ [STORAGE_KEYS.ACTIVE_PROFILE]: profileId });
+        }
+        return profile;
+    });
 }
 
 // Settings
@@ -150,47 +264,217 @@ export async function getSettings() {
     return { ...DEFAULT_SETTINGS, ...(result[STORAGE_KEYS.SETTINGS] || {}) };
 }
 
-export async function saveSettings(settings) {
+async function writeSettings(settings) {
     const current = await getSettings();
     const updated = { ...current, ...settings };
     await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS]: updated });
     return updated;
 }
 
+export function saveSettings(settings) {
+    return enqueueWrite(() => writeSettings(settings));
+}
+
+// Overlay position per origin, or under '*' when every site shares one
+const OVERLAY_ANCHORS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+export async function saveOverlayLayout(key, layout) {
+    if (typeof key !== 'string' || !key || !OVERLAY_ANCHORS.includes(layout?.anchor)) {
+        return { error: 'Invalid overlay layout' };
+    }
+    return enqueueWrite(async () => {
+        const settings = await getSettings();
+        const overlayLayouts = {
+            ...settings.overlayLayouts,
+            [key]: {
+                anchor: layout.anchor,
+                x: Math.max(0, Math.round(Number(layout.x) || 0)),
+                y: Math.max(0, Math.round(Number(layout.y) || 0)),
+                minimized: layout.minimized === true
+            }
+        };
+        await writeSettings({ overlayLayouts });
+        return { success: true };
+    });
+}
+
 // Activity Logs
 export async function getLogs() {
     const result = await chrome.storage.local.get(STORAGE_KEYS.LOGS);
     return result[STORAGE_KEYS.LOGS] || [];
 }
 
-export async function addLog(logEntry) {
+// Every run is logged and counted, so items arriving close together are written in one go.
+// Adding returns a promise that settles once the item is in storage; flushPendingWrites() writes
+// whatever is still waiting, e.g. before Chrome suspends the service worker.
+const BATCH_DELAY_MS = 500;
+const batchWriters = [];
+
+function createBatchWriter(flush) {
+    let pending = [];
+    let batch = null;
+    const write = () => {
+        const items = pending;
+        pending = [];
+        return items.length > 0 ? flush(items) : undefined;
+    };
+    const startBatch = () => {
+        clearTimeout(batch.timer);
+        batch.start();
+        batch = null;
+    };
+
+    const add = item => {
+        pending.push(item);
+        if (!batch) {
+            let start;
+            const started = new Promise(resolve => { start = resolve; });
+            batch = { start, timer: setTimeout(startBatch, BATCH_DELAY_MS), written: started.then(() => enqueueWrite(write)) };
+        }
+        return batch.written;
+    };
+    add.flush = () => {
+        if (!batch) return Promise.resolve();
+        const { written } = batch;
+        startBatch();
+        return written;
+    };
+    batchWriters.push(add);
+    return add;
+}
+
+export function flushPendingWrites() {
+    return Promise.all(batchWriters.map(writer => writer.flush()));
+}
+
+const queueLogs = createBatchWriter(async entries => {
     const settings = await getSettings();
-    let logs = await getLogs();
-    logs.unshift({
+    // Newest first; keep only maxLogs entries
+    const logs = [...entries.reverse(), ...await getLogs()].slice(0, settings.maxLogs);
+    await chrome.storage.local.set({ [STORAGE_KEYS.LOGS]: logs });
+    return logs;
+});
+
+export function addLog(logEntry) {
+    return queueLogs({
         ...logEntry,
         timestamp: Date.now()
     });
-    // Keep only maxLogs entries
-    if (logs.length > settings.maxLogs) {
-        logs = logs.slice(0, settings.maxLogs);
+}
+
+export function clearLogs() {
+    return enqueueWrite(() => chrome.storage.local.set({ [STORAGE_KEYS.LOGS]: [] }));
+}
+
+// Execution statistics (see stats.js for the shape)
+export async function getStats() {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.STATS);
+    return result[STORAGE_KEYS.STATS] || {};
+}
+
+const queueRunSamples = createBatchWriter(async samples => {
+    const stats = await getStats();
+    for (const { actionId, tabId, ...sample } of samples) {
+        const actionStats = stats[actionId] || (stats[actionId] = {});
+        actionStats[tabId] = applyRunSample(actionStats[tabId], sample);
     }
-    await chrome.storage.local.set({ [STORAGE_KEYS.LOGS]: logs });
-    return logs;
+    await chrome.storage.local.set({ [STORAGE_KEYS.STATS]: stats });
+    return stats;
+});
+
+// sample: { actionId, tabId, outcome, durationMs, driftMs, url }
+export function recordRunStats(sample) {
+    return queueRunSamples({ at: Date.now(), ...sample });
+}
+
+// Clear one action's stats, or everything when no action is given
+export function clearStats(actionId = null) {
+    return enqueueWrite(async () => {
+        if (!actionId) {
+            await chrome.storage.local.set({ [STORAGE_KEYS.STATS]: {} });
+            return;
+        }
+        const stats = await getStats();
+        if (!stats[actionId]) return;
+        delete stats[actionId];
+        await chrome.storage.local.set({ [STORAGE_KEYS.STATS]: stats });
+    });
+}
+
+// Element picker hand-off (the popup closes while the user picks in the page)
+export async function getPickerState() {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.PICKER);
+    return result[STORAGE_KEYS.PICKER] || null;
+}
+
+export async function savePickerState(state) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.PICKER]: state });
+}
+
+export async function clearPickerState() {
+    await chrome.storage.local.remove(STORAGE_KEYS.PICKER);
+}
+
+// Macro recorder hand-off, same shape as the picker's
+export async function getRecorderState() {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.RECORDER);
+    return result[STORAGE_KEYS.RECORDER] || null;
 }
 
-export async function clearLogs() {
-    await chrome.storage.local.set({ [STORAGE_KEYS.LOGS]: [] });
+export async function saveRecorderState(state) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.RECORDER]: state });
+}
+
+export async function clearRecorderState() {
+    await chrome.storage.local.remove(STORAGE_KEYS.RECORDER);
+}
+
+// Tabs a URL-bound action was stopped on, as { [actionId]: [tabId] }, so it doesn't attach there
+// again on the next navigation. Tab IDs only last a browser session, and so does chrome.storage.session.
+async function getDetachedTabs() {
+    const result = await chrome.storage.session.get(STORAGE_KEYS.DETACHED);
+    return result[STORAGE_KEYS.DETACHED] || {};
+}
+
+export async function isTabDetached(actionId, tabId) {
+    const detached = await getDetachedTabs();
+    return Boolean(detached[actionId]?.includes(Number(tabId)));
+}
+
+export function setTabDetached(actionId, tabId, isDetached) {
+    return enqueueWrite(async () => {
+        const detached = await getDetachedTabs();
+        const tabIds = (detached[actionId] || []).filter(id => id !== Number(tabId));
+        if (isDetached) tabIds.push(Number(tabId));
+
+        if (tabIds.length > 0) detached[actionId] = tabIds;
+        else delete detached[actionId];
+        await chrome.storage.session.set({ [STORAGE_KEYS.DETACHED]: detached });
+    });
+}
+
+export function forgetDetachedTab(tabId) {
+    return enqueueWrite(async () => {
+        const detached = await getDetachedTabs();
+        for (const [actionId, tabIds] of Object.entries(detached)) {
+            const remaining = tabIds.filter(id => id !== Number(tabId));
+            if (remaining.length > 0) detached[actionId] = remaining;
+            else delete detached[actionId];
+        }
+        await chrome.storage.session.set({ [STORAGE_KEYS.DETACHED]: detached });
+    });
 }
 
 // Import/Export
 export async function exportData() {
     const [actions, profiles, settings] = await Promise.all([
-        getActions(),
+        getActionDefinitions(),
         getProfiles(),
         getSettings()
     ]);
     return {
         version: '1.0.0',
+        schemaVersion: SCHEMA_VERSION,
         exportedAt: new Date().toISOString(),
         actions,
         profiles,
@@ -203,16 +487,22 @@ export async function importData(data) {
         throw new Error('Invalid import file format');
     }
 
-    await chrome.storage.local.set({
-        [STORAGE_KEYS.ACTIONS]: data.actions || [],
-        [STORAGE_KEYS.PROFILES]: data.profiles || [],
-        [STORAGE_KEYS.SETTINGS]: { ...DEFAULT_SETTINGS, ...(data.settings || {}) }
+    // Backups from older versions are upgraded like stored data; their run state is dropped,
+    // since the tabs it points at are gone
+    const { actions, profiles, settings } = migrateData(data, data.schemaVersion || 0);
+    await enqueueWrite(async () => {
+        await writeActions(actions);
+        await chrome.storage.local.set({
+            [STORAGE_KEYS.PROFILES]: profiles,
+            [STORAGE_KEYS.SETTINGS]: { ...DEFAULT_SETTINGS, ...(settings || {}) },
+            [STORAGE_KEYS.SCHEMA_VERSION]: SCHEMA_VERSION
+        });
     });
 
     return true;
 }
 
 // Clear all data
-export async function clearAllData() {
-    await chrome.storage.local.clear();
+export function clearAllData() {
+    return enqueueWrite(() => chrome.storage.local.clear());
 }
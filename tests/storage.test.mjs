@@ -0,0 +1,96 @@
+// Regression tests for storage.js write serialization. Run with: node --test tests/
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// chrome.storage.local with a random delay on every call, so unserialized read-modify-write
+// cycles interleave and lose updates
+let store;
+const delay = () => new Promise(resolve => setTimeout(resolve, Math.random() * 5));
+
+globalThis.chrome = {
+    storage: {
+        local: {
+            async get(keys) {
+                await delay();
+                const names = typeof keys === 'string' ? [keys] : keys;
+                return Object.fromEntries(names.filter(key => key in store).map(key => [key, structuredClone(store[key])]));
+            },
+            async set(items) {
+                await delay();
+                Object.assign(store, structuredClone(items));
+            },
+            async clear() {
+                store = {};
+            }
+        }
+    }
+};
+
+// Web Locks stand-in: requests for the same name run one at a time, in order
+const lockQueues = new Map();
+Object.defineProperty(globalThis, 'navigator', {
+    configurable: true,
+    value: {
+        locks: {
+            request(name, callback) {
+                const result = (lockQueues.get(name) || Promise.resolve()).then(() => callback());
+                lockQueues.set(name, result.catch(() => {}));
+                return result;
+            }
+        }
+    }
+});
+
+// Two copies of the module stand in for the popup and the service worker
+const background = await import('../storage.js?context=background');
+const popup = await import('../storage.js?context=popup');
+
+beforeEach(() => {
+    store = {
+        actions: [{ id: 'a', name: 'Action' }],
+        actionInstances: { a: { 1: { enabled: true }, 2: { enabled: true } } }
+    };
+});
+
+test('concurrent instance updates are all kept', async () => {
+    await Promise.all(Array.from({ length: 40 }, (_, i) => (
+        background.updateActionInstance('a', 1 + (i % 2), { [`field${i}`]: i })
+    )));
+
+    const instances = store.actionInstances.a;
+    for (let i = 0; i < 40; i++) {
+        assert.equal(instances[1 + (i % 2)][`field${i}`], i);
+    }
+});
+
+test('concurrent settings saves are all kept', async () => {
+    await Promise.all(Array.from({ length: 20 }, (_, i) => background.saveSettings({ [`setting${i}`]: i })));
+
+    for (let i = 0; i < 20; i++) {
+        assert.equal(store.settings[`setting${i}`], i);
+    }
+});
+
+test('writes from another context are serialized with the service worker', async () => {
+    await Promise.all(Array.from({ length: 20 }, (_, i) => [
+        background.updateActionInstance('a', 1, { [`run${i}`]: i }),
+        popup.updateActionInstance('a', 1, { [`edit${i}`]: i }),
+        background.saveSettings({ [`worker${i}`]: i }),
+        popup.saveSettings({ [`popup${i}`]: i })
+    ]).flat());
+
+    for (let i = 0; i < 20; i++) {
+        assert.equal(store.actionInstances.a[1][`run${i}`], i);
+        assert.equal(store.actionInstances.a[1][`edit${i}`], i);
+        assert.equal(store.settings[`worker${i}`], i);
+        assert.equal(store.settings[`popup${i}`], i);
+    }
+});
+
+test('flushPendingWrites writes batched logs without waiting for the batch delay', async () => {
+    const logged = background.addLog({ actionId: 'a', outcome: 'success' });
+    await background.flushPendingWrites();
+
+    assert.equal(store.actionLogs.length, 1);
+    await logged;
+});
@@ -0,0 +1,156 @@
+// URL filters: include/exclude lists of Chrome match patterns, globs or regular expressions
+// Stored as { mode, include: [...], exclude: [...] }; older actions hold a comma-separated substring list.
+
+const MATCH_PATTERN_SCHEMES = ['http', 'https', 'ws', 'wss', 'ftp', 'file'];
+const ALL_URLS = new RegExp(`^(${MATCH_PATTERN_SCHEMES.join('|')}):`, 'i');
+
+// Turn a stored filter (object, legacy string or null) into { mode, include, exclude } or null when empty
+export function normalizeUrlFilter(filter) {
+    if (!filter) return null;
+    if (typeof filter === 'string') return convertLegacyFilter(filter);
+
+    const include = cleanEntries(filter.include);
+    const exclude = cleanEntries(filter.exclude);
+    if (include.length === 0 && exclude.length === 0) return null;
+    return { mode: filter.mode || 'match', include, exclude };
+}
+
+// Compile a filter into a tester function or throw with a readable message naming the bad entry
+export function compileUrlFilter(filter) {
+    const normalized = normalizeUrlFilter(filter);
+    if (!normalized) return () => true;
+
+    const compile = COMPILERS[normalized.mode];
+    if (!compile) throw new Error(`Unknown URL filter mode "${normalized.mode}"`);
+
+    const include = normalized.include.map(compile);
+    const exclude = normalized.exclude.map(compile);
+    return url => {
+        const text = String(url || '');
+        if (include.length > 0 && !include.some(test => test(text))) return false;
+        return !exclude.some(test => test(text));
+    };
+}
+
+export function getUrlFilterError(filter) {
+    try {
+        compileUrlFilter(filter);
+        return null;
+    } catch (e) {
+        return e.message;
+    }
+}
+
+// No filter (or no URL to check) matches everything; a filter that no longer compiles matches nothing
+export function matchesUrlFilter(url, filter) {
+    if (!filter || !url) return true;
+    try {
+        return compileUrlFilter(filter)(url);
+    } catch (e) {
+        return false;
+    }
+}
+
+// One entry per line (commas also separate entries outside regex mode)
+export function parseFilterEntries(text, mode) {
+    const separator = mode === 'regex' ? /\n/ : /[\n,]/;
+    return cleanEntries(String(text || '').split(separator));
+}
+
+export function formatFilterEntries(entries) {
+    return (entries || []).join('\n');
+}
+
+const COMPILERS = {
+    match: compileMatchPattern,
+    glob: compileGlob,
+    regex: compileRegex
+};
+
+// Chrome match patterns: scheme://host/path, "*" scheme means http or https, "*." may only lead the host
+function compileMatchPattern(pattern) {
+    if (pattern === '<all_urls>') {
+        return url => ALL_URLS.test(url);
+    }
+
+    const match = pattern.match(/^([^:/]+):\/\/([^/]*)(\/.*)$/);
+    if (!match) {
+        throw new Error(`Invalid match pattern "${pattern}" (use scheme://host/path, e.g. https://*.example.com/*)`);
+    }
+
+    const scheme = match[1].toLowerCase();
+    const host = match[2].toLowerCase();
+    if (scheme !== '*' && !MATCH_PATTERN_SCHEMES.includes(scheme)) {
+        throw new Error(`Invalid scheme "${match[1]}" in "${pattern}" (use *, ${MATCH_PATTERN_SCHEMES.join(', ')})`);
+    }
+    if (scheme === 'file' ? host !== '' : !host) {
+        throw new Error(scheme === 'file' ? `File patterns have no host: "file:///path"` : `Missing host in "${pattern}"`);
+    }
+
+    const hostMatch = host.match(/^(\*|(?:\*\.)?[^*:]+)?(?::(\d+|\*))?$/);
+    if (!hostMatch) {
+        throw new Error(`Invalid host "${match[2]}" in "${pattern}" (* may only lead the host, as in *.example.com)`);
+    }
+
+    const [, hostPattern = '', port] = hostMatch;
+    const schemeSource = scheme === '*' ? 'https?' : escapeRegExp(scheme);
+    const hostSource = hostPattern === '*' ? '[^/:]+'
+        : hostPattern.startsWith('*.') ? `(?:[^/:]+\\.)?${escapeRegExp(hostPattern.slice(2))}`
+            : escapeRegExp(hostPattern);
+    const portSource = port && port !== '*' ? `:${port}` : '(?::\\d+)?';
+    const pathSource = match[3].split('*').map(escapeRegExp).join('.*');
+
+    // Scheme and host are case-insensitive, the path is not; the fragment is never part of the match
+    const regex = new RegExp(`^${schemeSource}://${hostSource}${portSource}${pathSource}$`);
+    return url => {
+        const parts = url.replace(/#.*$/, '').match(/^([^:/]+:\/\/[^/]*)(.*)$/);
+        return Boolean(parts) && regex.test(parts[1].toLowerCase() + (parts[2] || '/'));
+    };
+}
+
+// Globs match the whole URL: "*" stays within one path segment, "**" crosses "/", "?" is one character
+function compileGlob(glob) {
+    const source = glob.split(/(\*\*|\*|\?)/).map(part => {
+        if (part === '**') return '.*';
+        if (part === '*') return '[^/]*';
+        if (part === '?') return '[^/]';
+        return escapeRegExp(part);
+    }).join('');
+    const regex = new RegExp(`^${source}$`, 'i');
+    return url => regex.test(url);
+}
+
+// Regular expressions search anywhere in the URL, case-insensitive
+function compileRegex(source) {
+    let regex;
+    try {
+        regex = new RegExp(source, 'i');
+    } catch (e) {
+        throw new Error(`Invalid regular expression "${source}": ${e.message.replace(/^Invalid regular expression: /, '')}`);
+    }
+    return url => regex.test(url);
+}
+
+// "google.com" was a substring match and "*.google.com" a loose domain match; keep both working as globs
+function convertLegacyFilter(filter) {
+    const include = [];
+    for (const entry of cleanEntries(filter.split(','))) {
+        if (entry.startsWith('*.')) {
+            const domain = entry.slice(2).replace(/[*?]/g, '');
+            include.push(`*://${domain}/**`, `*://*.${domain}/**`);
+        } else {
+            include.push(`**${entry.replace(/[*?]/g, '')}**`);
+        }
+    }
+    return include.length > 0 ? { mode: 'glob', include, exclude: [] } : null;
+}
+
+function cleanEntries(entries) {
+    return (Array.isArray(entries) ? entries : [])
+        .map(entry => String(entry).trim())
+        .filter(Boolean);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}